@@ -0,0 +1,230 @@
+/**
+ * Analytics - Typed interaction events fanned out to pluggable providers
+ * Ships a batched first-party sendBeacon sink and a console provider for debugging
+ */
+
+// Every event the site emits; track() warns about anything else
+export const ANALYTICS_EVENTS = {
+  NAV_CLICK: 'nav_click',
+  CTA_CLICK: 'cta_click',
+  SECTION_VIEW: 'section_view',
+  EVENT_OPEN: 'event_open',
+  EVENT_REGISTER: 'event_register',
+  FORM_SUBMIT: 'form_submit'
+};
+
+// Batches events and posts them with navigator.sendBeacon
+export class BeaconProvider {
+  constructor({ window, fetch, endpoint, batchSize = 10, flushInterval = 10000, maxQueue = 100 }) {
+    this.window = window;
+    this.fetch = fetch;
+    this.endpoint = endpoint;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.maxQueue = maxQueue;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  // Queue an event, sending once a full batch is ready
+  track(event) {
+    this.queue.push(event);
+
+    // Never let an unreachable endpoint grow the queue without bound
+    if (this.queue.length > this.maxQueue) {
+      this.queue.splice(0, this.queue.length - this.maxQueue);
+    }
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+  }
+
+  // Send everything queued so far
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!this.queue.length) return;
+
+    const batch = this.queue.splice(0, this.queue.length);
+    // text/plain keeps the beacon a CORS "simple" request for cross-origin sinks
+    const body = JSON.stringify({ sentAt: new Date().toISOString(), events: batch });
+    const blob = new this.window.Blob([body], { type: 'text/plain;charset=UTF-8' });
+    const { navigator } = this.window;
+
+    if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, blob)) return;
+
+    // sendBeacon missing or refused (payload too large): fall back to a keepalive fetch
+    this.fetch(this.endpoint, {
+      method: 'POST',
+      body,
+      keepalive: true,
+      headers: { 'Content-Type': 'text/plain;charset=UTF-8' }
+    }).catch(error => {
+      console.warn('📈 Analytics batch could not be delivered:', error);
+    });
+  }
+}
+
+// Logs events instead of sending them
+export class ConsoleProvider {
+  // Print the event
+  track(event) {
+    console.log(`📈 ${event.type}`, event.properties);
+  }
+}
+
+export class Analytics {
+  constructor({ window, fetch, i18n }) {
+    this.window = window;
+    this.document = window.document;
+    this.fetch = fetch;
+    this.i18n = i18n;
+    this.providers = new Map();
+    // Event names for callers that don't share this script's scope
+    this.events = ANALYTICS_EVENTS;
+    this.sessionId = this.createSessionId();
+    // Honour Do Not Track and Global Privacy Control
+    const { navigator } = window;
+    this.enabled = !(navigator.doNotTrack === '1' || navigator.globalPrivacyControl === true);
+    this.minSectionDuration = 1000;
+    this.activeSections = new Map();
+    this.pausedSections = [];
+
+    // Close out timings and deliver queued events before the page goes away
+    this.handleVisibilityChange = () => {
+      if (this.document.visibilityState === 'hidden') {
+        this.pauseSections();
+        this.flush();
+      } else {
+        this.resumeSections();
+      }
+    };
+    this.handlePageHide = () => {
+      this.pauseSections();
+      this.flush();
+    };
+
+    this.document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.window.addEventListener('pagehide', this.handlePageHide);
+  }
+
+  // Random id that groups events from one page visit
+  createSessionId() {
+    const { crypto } = this.window;
+    if (crypto && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Add a provider: any object with track(event) and optionally flush()
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  // Remove a provider, sending whatever it still holds
+  removeProvider(name) {
+    const provider = this.providers.get(name);
+    if (provider && provider.flush) provider.flush();
+    this.providers.delete(name);
+  }
+
+  // Set up the built-in providers from siteData.analytics
+  configure({ endpoint = '', batchSize, flushInterval, debug = false } = {}) {
+    this.removeProvider('beacon');
+    this.removeProvider('console');
+
+    if (endpoint) {
+      this.registerProvider('beacon', new BeaconProvider({
+        window: this.window,
+        fetch: this.fetch,
+        endpoint,
+        batchSize,
+        flushInterval
+      }));
+    }
+
+    if (debug) {
+      this.registerProvider('console', new ConsoleProvider());
+    }
+  }
+
+  // Emit a typed event to every provider
+  track(type, properties = {}) {
+    if (!this.enabled) return;
+
+    if (!Object.values(ANALYTICS_EVENTS).includes(type)) {
+      console.warn(`📈 Unknown analytics event "${type}"`);
+      return;
+    }
+
+    const event = {
+      type,
+      properties,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId,
+      locale: this.i18n.locale,
+      path: this.window.location.hash || '#'
+    };
+
+    this.providers.forEach((provider, name) => {
+      try {
+        provider.track(event);
+      } catch (error) {
+        console.warn(`📈 Analytics provider "${name}" failed:`, error);
+      }
+    });
+  }
+
+  // Start timing a section that scrolled into view
+  startSection(section) {
+    if (!this.activeSections.has(section)) {
+      this.activeSections.set(section, performance.now());
+    }
+  }
+
+  // Stop timing a section and record how long it was on screen
+  endSection(section) {
+    const start = this.activeSections.get(section);
+    if (start === undefined) return;
+
+    this.activeSections.delete(section);
+    const duration = Math.round(performance.now() - start);
+
+    // Skip sections that merely scrolled past
+    if (duration >= this.minSectionDuration) {
+      this.track(ANALYTICS_EVENTS.SECTION_VIEW, { section, duration });
+    }
+  }
+
+  // Close all running section timers while the page is hidden
+  pauseSections() {
+    this.pausedSections = [...this.activeSections.keys()];
+    this.pausedSections.forEach(section => this.endSection(section));
+  }
+
+  // Restart timers for the sections that were on screen
+  resumeSections() {
+    this.pausedSections.forEach(section => this.startSection(section));
+    this.pausedSections = [];
+  }
+
+  // Ask every provider to send what it has queued
+  flush() {
+    this.providers.forEach(provider => {
+      if (provider.flush) provider.flush();
+    });
+  }
+
+  // Stop listening for page lifecycle events
+  cleanup() {
+    this.pauseSections();
+    this.flush();
+    this.document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.window.removeEventListener('pagehide', this.handlePageHide);
+  }
+}
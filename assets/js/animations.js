@@ -3,37 +3,77 @@
  * Minimalistic yet powerful animations
  */
 
-class AnimationSystem {
-  constructor() {
+export class AnimationSystem {
+  constructor({ window, domManager, i18n, timeline, motionPreference }) {
+    this.window = window;
+    this.document = window.document;
+    this.domManager = domManager;
+    this.i18n = i18n;
+    // Every JS-driven animation runs on this shared loop so pause/resume reaches it
+    this.timeline = timeline;
+    this.motionPreference = motionPreference;
     this.isReducedMotion = this.checkReducedMotion();
     this.isTouch = 'ontouchstart' in window;
-    this.animationFrameId = null;
     this.observers = [];
-    this.init();
+    this.revealObserver = null;
+    this.scrollTask = null;
+    this.scrollTarget = 0;
+    // Running counters by element, so reduced motion can jump them to their final text
+    this.counters = new Map();
+    // Terminal script being typed, see playTerminalScript()
+    this.terminal = null;
+    // Resolves once the script has printed and the terminal can take input
+    this.terminalReady = Promise.resolve();
+    this.cursor = null;
+    this.parallax = null;
+    this.unsubscribeMotion = null;
   }
 
+  // Start the page animations; called by the composition root once the DOM is ready
   init() {
     this.setupScrollReveal();
     this.setupFloatingElements();
-    this.setupTerminalAnimation();
     this.setupCursor();
     this.setupGridAnimation();
+
+    this.unsubscribeMotion = this.motionPreference.onChange(reduced => this.setReducedMotion(reduced));
   }
 
-  // Check for reduced motion preference
+  // Check for reduced motion preference (OS setting or the in-page toggle)
   checkReducedMotion() {
-    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return this.motionPreference.isReduced;
+  }
+
+  // Switch running animations to their static equivalents, or back, without a reload
+  setReducedMotion(reduced) {
+    if (reduced === this.isReducedMotion) return;
+    this.isReducedMotion = reduced;
+
+    if (reduced) {
+      this.revealAll();
+      this.finishCounters();
+      this.finishScroll();
+      this.finishTerminalScript();
+    } else if (!this.revealObserver) {
+      this.setupScrollReveal();
+    }
+
+    this.setupFloatingElements();
+    this.setupCursor();
+    this.updateParallax();
+
+    console.log(`🎬 Motion ${reduced ? 'reduced' : 'restored'}`);
   }
 
   // Setup scroll-based reveal animations
   setupScrollReveal() {
     if (this.isReducedMotion) return;
 
-    const revealObserver = domManager.createIntersectionObserver(
+    const revealObserver = this.domManager.createIntersectionObserver(
       (entries) => {
         entries.forEach(entry => {
           if (entry.isIntersecting) {
-            domManager.addClass(entry.target, 'active');
+            this.domManager.addClass(entry.target, 'active');
             
             // Add stagger delay for grouped elements
             if (entry.target.dataset.stagger) {
@@ -47,20 +87,44 @@ class AnimationSystem {
     );
 
     // Observe all reveal elements
-    domManager.querySelectorAll('.reveal').forEach(el => {
+    this.domManager.querySelectorAll('.reveal').forEach(el => {
       revealObserver.observe(el);
     });
 
+    this.revealObserver = revealObserver;
     this.observers.push(revealObserver);
   }
 
-  // Create floating elements for hero section
-  setupFloatingElements() {
-    if (this.isReducedMotion) return;
+  // Reveal elements rendered after start-up as they scroll into view
+  observeReveal(element) {
+    if (!this.revealObserver || !element.classList.contains('reveal')) return;
+    this.revealObserver.observe(element);
+  }
+
+  // Show every reveal element at once and stop observing
+  revealAll() {
+    this.domManager.querySelectorAll('.reveal').forEach(el => {
+      this.domManager.addClass(el, 'active');
+    });
+
+    if (this.revealObserver) {
+      this.revealObserver.disconnect();
+      this.observers = this.observers.filter(observer => observer !== this.revealObserver);
+      this.revealObserver = null;
+    }
+  }
 
-    const container = domManager.getElementById('floating-elements');
+  // Create floating elements for hero section; none with reduced motion
+  setupFloatingElements() {
+    const container = this.domManager.getElementById('floating-elements');
     if (!container) return;
 
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    if (this.isReducedMotion) return;
+
     const elements = ['⚡', '🚀', '💻', '🎯', '🔥', '✨'];
     const positions = [
       { top: '10%', left: '10%', delay: '0s' },
@@ -73,8 +137,8 @@ class AnimationSystem {
 
     elements.forEach((emoji, index) => {
       if (positions[index]) {
-        const element = domManager.createElement('div', 'floating-element');
-        element.appendChild(domManager.createTextNode(emoji));
+        const element = this.domManager.createElement('div', 'floating-element');
+        element.appendChild(this.domManager.createTextNode(emoji));
         
         // Set position
         const pos = positions[index];
@@ -90,41 +154,125 @@ class AnimationSystem {
     });
   }
 
-  // Animate terminal output
-  setupTerminalAnimation() {
-    const output = domManager.getElementById('terminal-output');
-    if (!output) return;
+  // Type the siteData terminal script into #terminal-output, replacing one already playing
+  // script: { lines: [{ text, class, pause }], charsPerSecond, loop, loopDelay }
+  // Each line waits pause ms, then types out; looping retypes the script after loopDelay ms
+  playTerminalScript(script) {
+    this.stopTerminalScript();
 
-    const messages = [
-      { text: '✓ Connecting to innovation network...', delay: 1000 },
-      { text: '✓ Loading opportunities...', delay: 2000 },
-      { text: '✓ Initializing your journey...', delay: 3000 },
-      { text: '🚀 Ready to transform the future!', delay: 4000, class: 'success' }
-    ];
+    const output = this.domManager.getElementById('terminal-output');
+    const lines = (script && script.lines) || [];
 
-    messages.forEach(msg => {
-      setTimeout(() => {
-        const line = domManager.createElement('div', `terminal-line ${msg.class || ''}`);
-        line.appendChild(domManager.createTextNode(msg.text));
-        output.appendChild(line);
-        
-        // Cursor effect
-        if (msg === messages[messages.length - 1]) {
-          setTimeout(() => {
-            const cursor = domManager.createElement('span', 'terminal-cursor');
-            cursor.appendChild(domManager.createTextNode('_'));
-            line.appendChild(cursor);
-          }, 500);
+    if (!output || !lines.length) {
+      this.terminalReady = Promise.resolve();
+      return this.terminalReady;
+    }
+
+    const { charsPerSecond = 30, loop = false, loopDelay = 3000 } = script;
+    const caret = this.domManager.createElement('span', 'terminal-cursor', { 'aria-hidden': 'true' });
+    // Line elements of the pass on screen, by script index
+    let printed = [];
+
+    const addLine = (line, text) => {
+      const element = this.domManager.createElement('div', `terminal-line ${line.class || ''}`);
+      element.appendChild(this.domManager.createTextNode(text));
+      output.appendChild(element);
+      printed.push(element);
+      return element.firstChild;
+    };
+
+    // Type a line a character at a time with the caret following
+    const typeLine = (line) => {
+      // Split by code point so emoji aren't cut in half
+      const chars = Array.from(line.text);
+      const text = addLine(line, '');
+      text.parentNode.appendChild(caret);
+
+      return this.timeline.tween({
+        duration: (chars.length / charsPerSecond) * 1000,
+        onUpdate: (eased, progress) => {
+          text.data = chars.slice(0, Math.round(progress * chars.length)).join('');
         }
-      }, msg.delay);
+      });
+    };
+
+    const pass = () => lines.reduce(
+      (task, line) => task
+        .andThen(() => this.timeline.delay(line.pause || 0))
+        .andThen(() => typeLine(line)),
+      this.timeline.delay(0)
+    );
+
+    const play = () => {
+      this.terminal.task = pass().andThen(() => {
+        this.domManager.removeElement(caret);
+        this.terminal.ready();
+
+        if (!loop) {
+          this.terminal = null;
+          return null;
+        }
+
+        return this.timeline.delay(loopDelay, () => {
+          printed.forEach(element => this.domManager.removeElement(element));
+          printed = [];
+          play();
+        });
+      });
+    };
+
+    // Show the whole script at once: fill the line being typed and print the rest
+    const complete = () => {
+      if (this.terminal.task) this.terminal.task.cancel();
+      this.domManager.removeElement(caret);
+
+      lines.forEach((line, index) => {
+        if (printed[index]) {
+          printed[index].firstChild.data = line.text;
+        } else {
+          addLine(line, line.text);
+        }
+      });
+
+      this.terminal.ready();
+      this.terminal = null;
+    };
+
+    this.terminalReady = new Promise(resolve => {
+      this.terminal = { task: null, caret, ready: resolve, complete };
     });
+
+    if (this.isReducedMotion) {
+      complete();
+    } else {
+      play();
+    }
+
+    return this.terminalReady;
   }
 
-  // Setup custom cursor (desktop only)
+  // Jump a playing terminal script to its final text and stop any loop
+  finishTerminalScript() {
+    if (this.terminal) this.terminal.complete();
+  }
+
+  // Stop the terminal script where it is
+  stopTerminalScript() {
+    if (!this.terminal) return;
+
+    const { task, caret, ready } = this.terminal;
+    if (task) task.cancel();
+    this.domManager.removeElement(caret);
+    ready();
+    this.terminal = null;
+  }
+
+  // Setup custom cursor (desktop only, native pointer with reduced motion)
   setupCursor() {
-    if (this.isTouch) return;
+    this.teardownCursor();
+    if (this.isTouch || this.isReducedMotion) return;
 
-    const cursor = domManager.getElementById('cursor');
+    const cursor = this.domManager.getElementById('cursor');
     if (!cursor) return;
 
     let mouseX = 0, mouseY = 0;
@@ -134,106 +282,141 @@ class AnimationSystem {
     const handleMouseMove = (e) => {
       mouseX = e.clientX;
       mouseY = e.clientY;
-      domManager.addClass(cursor, 'active');
+      this.domManager.addClass(cursor, 'active');
     };
 
     // Mouse leave handler
     const handleMouseLeave = () => {
-      domManager.removeClass(cursor, 'active');
+      this.domManager.removeClass(cursor, 'active');
     };
 
-    document.addEventListener('mousemove', handleMouseMove);
-    document.addEventListener('mouseleave', handleMouseLeave);
+    this.document.addEventListener('mousemove', handleMouseMove);
+    this.document.addEventListener('mouseleave', handleMouseLeave);
 
     // Smooth cursor animation
-    const animateCursor = () => {
+    const task = this.timeline.loop(() => {
       const speed = 0.2;
       cursorX += (mouseX - cursorX) * speed;
       cursorY += (mouseY - cursorY) * speed;
       
       cursor.style.transform = `translate(${cursorX}px, ${cursorY}px)`;
-      
-      this.animationFrameId = requestAnimationFrame(animateCursor);
-    };
-
-    animateCursor();
+    });
 
     // Hover effects for interactive elements
-    const hoverElements = domManager.querySelectorAll(
+    const hoverElements = this.domManager.querySelectorAll(
       'a, button, .cta-primary, .cta-secondary, .feature-card, .event-card, .contact-item'
     );
+    const handleHoverStart = () => this.domManager.addClass(cursor, 'hover');
+    const handleHoverEnd = () => this.domManager.removeClass(cursor, 'hover');
 
     hoverElements.forEach(el => {
-      el.addEventListener('mouseenter', () => domManager.addClass(cursor, 'hover'));
-      el.addEventListener('mouseleave', () => domManager.removeClass(cursor, 'hover'));
+      el.addEventListener('mouseenter', handleHoverStart);
+      el.addEventListener('mouseleave', handleHoverEnd);
     });
+
+    this.cursor = {
+      element: cursor,
+      task,
+      remove: () => {
+        this.document.removeEventListener('mousemove', handleMouseMove);
+        this.document.removeEventListener('mouseleave', handleMouseLeave);
+        hoverElements.forEach(el => {
+          el.removeEventListener('mouseenter', handleHoverStart);
+          el.removeEventListener('mouseleave', handleHoverEnd);
+        });
+      }
+    };
+  }
+
+  // Hide the custom cursor and stop following the mouse
+  teardownCursor() {
+    if (!this.cursor) return;
+
+    const { element, task, remove } = this.cursor;
+    task.cancel();
+    remove();
+    this.domManager.removeClass(element, 'active');
+    this.domManager.removeClass(element, 'hover');
+    element.style.transform = '';
+    this.cursor = null;
   }
 
   // Setup grid animation
   setupGridAnimation() {
     if (this.isReducedMotion) return;
 
-    const grid = domManager.getElementById('hero-grid');
+    const grid = this.domManager.getElementById('hero-grid');
     if (!grid) return;
 
     // Simple CSS animation is already applied, no JS needed
     // Grid animation is handled by CSS keyframes for better performance
   }
 
-  // Animate statistics counters
-  animateCounter(element, target, suffix = '', duration = 2000) {
+  // Count a statistic from start to value; returns the timeline task, or null when shown instantly
+  // format(number) renders each frame; by default a locale number with value's decimal places
+  animateCounter(element, value, { start = 0, easing = 'easeOutQuart', duration = 2000, format = null } = {}) {
+    const decimals = (String(value).split('.')[1] || '').length;
+    const render = format || (number => this.i18n.formatNumber(number, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }));
+    const finalText = render(value);
+
+    if (this.counters.has(element)) this.counters.get(element).task.cancel();
+
     if (this.isReducedMotion) {
-      element.textContent = target + suffix;
-      return;
+      element.textContent = finalText;
+      return null;
     }
 
-    const start = 0;
-    const startTime = performance.now();
-    const targetNum = parseInt(target.replace(/\D/g, ''));
-
-    const animate = (currentTime) => {
-      const elapsed = currentTime - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-      
-      // Easing function
-      const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-      const current = Math.floor(start + (targetNum * easeOutQuart));
-      
-      element.textContent = current + suffix;
-      
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      } else {
-        element.textContent = target + suffix;
+    const task = this.timeline.tween({
+      duration,
+      easing,
+      onUpdate: (eased) => {
+        element.textContent = render(start + (value - start) * eased);
       }
-    };
+    }).andThen(() => {
+      element.textContent = finalText;
+    });
 
-    requestAnimationFrame(animate);
+    this.counters.set(element, { task, finalText });
+    task.finished.then(() => {
+      if (this.counters.get(element)?.task === task) this.counters.delete(element);
+    });
+
+    return task;
+  }
+
+  // Jump every running counter to its final value
+  finishCounters() {
+    this.counters.forEach(({ task, finalText }, element) => {
+      task.cancel();
+      element.textContent = finalText;
+    });
+    this.counters.clear();
   }
 
   // Create stagger animation for multiple elements
   staggerAnimation(elements, className = 'active', delay = 100) {
     if (this.isReducedMotion) {
-      elements.forEach(el => domManager.addClass(el, className));
-      return;
+      elements.forEach(el => this.domManager.addClass(el, className));
+      return null;
     }
 
-    elements.forEach((el, index) => {
-      setTimeout(() => {
-        domManager.addClass(el, className);
-      }, index * delay);
+    return this.timeline.stagger(elements, delay, (el) => {
+      this.domManager.addClass(el, className);
     });
   }
 
   // Animate form input focus
   animateFormFocus(inputElement, lineElement) {
     const handleFocus = () => {
-      domManager.addClass(inputElement.closest('.form-group'), 'focused');
+      this.domManager.addClass(inputElement.closest('.form-group'), 'focused');
     };
 
     const handleBlur = () => {
       if (!inputElement.value.trim()) {
-        domManager.removeClass(inputElement.closest('.form-group'), 'focused');
+        this.domManager.removeClass(inputElement.closest('.form-group'), 'focused');
       }
     };
 
@@ -241,35 +424,39 @@ class AnimationSystem {
     inputElement.addEventListener('blur', handleBlur);
   }
 
-  // Smooth scroll with easing
+  // Smooth scroll with easing, resolves when the scroll settles
+  // Starting a new scroll cancels one still in flight; its promise resolves to false
+  // With reduced motion the page jumps straight to the target
   smoothScrollTo(element, offset = 80, duration = 800) {
-    if (!element) return;
+    if (!element) return Promise.resolve(true);
 
-    const startPosition = window.pageYOffset;
-    const targetPosition = element.offsetTop - offset;
+    const startPosition = this.window.pageYOffset;
+    const targetPosition = element.getBoundingClientRect().top + startPosition - offset;
     const distance = targetPosition - startPosition;
-    let startTime = null;
 
-    const animation = (currentTime) => {
-      if (startTime === null) startTime = currentTime;
-      const timeElapsed = currentTime - startTime;
-      const progress = Math.min(timeElapsed / duration, 1);
+    if (this.scrollTask) this.scrollTask.cancel();
 
-      // Easing function
-      const ease = this.easeInOutCubic(progress);
-      window.scrollTo(0, startPosition + distance * ease);
+    if (this.isReducedMotion) {
+      this.window.scrollTo(0, targetPosition);
+      return Promise.resolve(true);
+    }
 
-      if (progress < 1) {
-        requestAnimationFrame(animation);
-      }
-    };
+    this.scrollTarget = targetPosition;
+    this.scrollTask = this.timeline.tween({
+      duration,
+      easing: 'easeInOutCubic',
+      onUpdate: (eased) => this.window.scrollTo(0, startPosition + distance * eased)
+    });
 
-    requestAnimationFrame(animation);
+    return this.scrollTask.finished;
   }
 
-  // Easing function
-  easeInOutCubic(t) {
-    return t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
+  // Land a scroll still in flight on its target
+  finishScroll() {
+    if (!this.scrollTask || this.scrollTask.state !== 'running') return;
+
+    this.window.scrollTo(0, this.scrollTarget);
+    this.scrollTask.finish();
   }
 
   // Fade in animation
@@ -282,7 +469,7 @@ class AnimationSystem {
     element.style.opacity = '0';
     element.style.transition = `opacity ${duration}ms ease`;
     
-    requestAnimationFrame(() => {
+    this.timeline.delay(0, () => {
       element.style.opacity = '1';
     });
   }
@@ -294,18 +481,20 @@ class AnimationSystem {
       return Promise.resolve();
     }
 
+    element.style.transition = `opacity ${duration}ms ease`;
+    element.style.opacity = '0';
+
+    // The CSS transition does the fading; a plain timer resolves even in a background tab,
+    // where the timeline's animation frames never run and startup would otherwise stall
     return new Promise(resolve => {
-      element.style.transition = `opacity ${duration}ms ease`;
-      element.style.opacity = '0';
-      
-      setTimeout(resolve, duration);
+      this.window.setTimeout(resolve, duration);
     });
   }
 
   // Slide up animation
   slideUp(element, duration = 400) {
     if (this.isReducedMotion) {
-      domManager.addClass(element, 'active');
+      this.domManager.addClass(element, 'active');
       return;
     }
 
@@ -313,7 +502,7 @@ class AnimationSystem {
     element.style.opacity = '0';
     element.style.transition = `all ${duration}ms ease`;
     
-    requestAnimationFrame(() => {
+    this.timeline.delay(0, () => {
       element.style.transform = 'translateY(0)';
       element.style.opacity = '1';
     });
@@ -329,7 +518,7 @@ class AnimationSystem {
     element.style.transform = `scale(${fromScale})`;
     element.style.transition = `transform ${duration}ms ease`;
     
-    requestAnimationFrame(() => {
+    this.timeline.delay(0, () => {
       element.style.transform = `scale(${toScale})`;
     });
   }
@@ -338,16 +527,16 @@ class AnimationSystem {
   pulse(element) {
     if (this.isReducedMotion) return;
 
-    domManager.addClass(element, 'pulse');
-    setTimeout(() => {
-      domManager.removeClass(element, 'pulse');
-    }, 600);
+    this.domManager.addClass(element, 'pulse');
+    this.timeline.delay(600, () => {
+      this.domManager.removeClass(element, 'pulse');
+    });
   }
 
   // Loading animation
-  showLoading(element, text = 'Loading...') {
-    const loader = domManager.createElement('div', 'loading-indicator');
-    loader.appendChild(domManager.createTextNode(text));
+  showLoading(element, text = this.i18n.t('loading.generic')) {
+    const loader = this.domManager.createElement('div', 'loading-indicator');
+    loader.appendChild(this.domManager.createTextNode(text));
     
     element.appendChild(loader);
     this.fadeIn(loader);
@@ -359,16 +548,14 @@ class AnimationSystem {
     if (!loader) return;
     
     this.fadeOut(loader).then(() => {
-      domManager.removeElement(loader);
+      this.domManager.removeElement(loader);
     });
   }
 
   // Parallax effect (simplified)
   setupParallax(elements) {
-    if (this.isReducedMotion) return;
-
-    const handleScroll = domManager.throttle(() => {
-      const scrolled = window.pageYOffset;
+    const handleScroll = this.domManager.throttle(() => {
+      const scrolled = this.window.pageYOffset;
       
       elements.forEach(el => {
         const rate = scrolled * -0.5;
@@ -376,14 +563,41 @@ class AnimationSystem {
       });
     }, 10);
 
-    window.addEventListener('scroll', handleScroll, { passive: true });
+    this.parallax = { elements, handleScroll, active: false };
+    this.updateParallax();
+  }
+
+  // Follow the scroll position, or hold the elements still with reduced motion
+  updateParallax() {
+    if (!this.parallax) return;
+
+    const { elements, handleScroll, active } = this.parallax;
+
+    if (this.isReducedMotion && active) {
+      this.window.removeEventListener('scroll', handleScroll);
+      elements.forEach(el => {
+        el.style.transform = '';
+      });
+    } else if (!this.isReducedMotion && !active) {
+      this.window.addEventListener('scroll', handleScroll, { passive: true });
+      handleScroll();
+    }
+
+    this.parallax.active = !this.isReducedMotion;
   }
 
   // Cleanup animations
   cleanup() {
-    if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
+    if (this.unsubscribeMotion) this.unsubscribeMotion();
+    this.teardownCursor();
+
+    if (this.parallax && this.parallax.active) {
+      this.window.removeEventListener('scroll', this.parallax.handleScroll);
     }
+    this.parallax = null;
+    this.timeline.cancelAll();
+    this.counters.clear();
+    this.stopTerminalScript();
 
     this.observers.forEach(observer => {
       if (observer.disconnect) {
@@ -392,43 +606,21 @@ class AnimationSystem {
     });
 
     this.observers = [];
+    this.revealObserver = null;
   }
 
-  // Pause all animations
+  // Pause all animations, JS and CSS alike
   pauseAnimations() {
-    const animatedElements = domManager.querySelectorAll('*');
-    animatedElements.forEach(el => {
-      el.style.animationPlayState = 'paused';
-    });
+    this.timeline.pause();
   }
 
   // Resume all animations
   resumeAnimations() {
-    const animatedElements = domManager.querySelectorAll('*');
-    animatedElements.forEach(el => {
-      el.style.animationPlayState = 'running';
-    });
+    this.timeline.resume();
   }
 
   // Check if animations should be disabled
   shouldDisableAnimations() {
-    return this.isReducedMotion || document.hidden;
-  }
-}
-
-// Create global instance
-window.animationSystem = new AnimationSystem();
-
-// Handle visibility change for performance
-document.addEventListener('visibilitychange', () => {
-  if (document.hidden) {
-    window.animationSystem.pauseAnimations();
-  } else {
-    window.animationSystem.resumeAnimations();
+    return this.isReducedMotion || this.document.hidden;
   }
-});
-
-// Export for module use
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = AnimationSystem;
 }
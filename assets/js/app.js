@@ -3,13 +3,196 @@
  * Clean, modern JavaScript using ES6+ and DOM APIs
  */
 
-class TeqpodApp {
-  constructor() {
+export class TeqpodApp {
+  constructor({
+    window,
+    domManager,
+    animationSystem,
+    componentSystem,
+    heroTerminal,
+    countdown,
+    i18n,
+    themeManager,
+    motionPreference,
+    hashRouter,
+    commandPalette,
+    formTransport,
+    registration,
+    offlineSupport,
+    analytics,
+    structuredData,
+    siteDataValidator,
+    eventSchedule,
+    calendarExport,
+    fetch
+  }) {
+    this.window = window;
+    this.document = window.document;
+    this.fetch = fetch;
+    this.domManager = domManager;
+    this.animationSystem = animationSystem;
+    this.componentSystem = componentSystem;
+    this.heroTerminal = heroTerminal;
+    this.countdown = countdown;
+    this.i18n = i18n;
+    this.themeManager = themeManager;
+    this.motionPreference = motionPreference;
+    this.hashRouter = hashRouter;
+    this.commandPalette = commandPalette;
+    this.formTransport = formTransport;
+    this.registration = registration;
+    this.offlineSupport = offlineSupport;
+    this.analytics = analytics;
+    this.structuredData = structuredData;
+    this.siteDataValidator = siteDataValidator;
+    this.eventSchedule = eventSchedule;
+    this.calendarExport = calendarExport;
+
     this.siteData = null;
+    this.dataReport = null;
     this.isInitialized = false;
     this.elements = {};
     this.currentSection = 'home';
-    this.init();
+    this.isProgrammaticScroll = false;
+    this.eventDetail = null;
+    this.registrationForm = null;
+    this.eventFilters = { type: 'all', order: 'asc' };
+    // Set once a command runs in the hero terminal
+    this.terminalUsed = false;
+    // Sections that need more than a plain template render
+    this.sectionRenderers = {
+      events: (events, container) => this.renderEventsSection(events, container)
+    };
+    // Titles plugins give their sections, used when one falls back
+    this.sectionTitles = {};
+    // Conditional-request validators and last payload per data URL
+    this.dataCache = new Map();
+    this.refreshConfig = { interval: 5 * 60 * 1000, minGap: 30 * 1000 };
+    this.refreshTimer = null;
+    this.lastRefresh = 0;
+    this.isRefreshing = false;
+    // Registered through use(), in registration order
+    this.plugins = [];
+  }
+
+  // Register a plugin: an object with a name and any of these optional members
+  //   beforeLoad({ app })                      before siteData is first fetched
+  //   afterDataLoad({ siteData, locale, app }) may return a transformed siteData
+  //   beforeRender({ siteData, app })          before sections render
+  //   afterRender({ siteData, app })           after sections render
+  //   onSectionChange({ section, previous, app })
+  //   onDestroy({ app })
+  //   sections   { siteDataKey: templateName | render(data, container) }
+  //   titles     { siteDataKey: title } names the plugin's sections in fallback messages
+  //   templates  { name: element or <template> }
+  //   views      { name: { prepare, mount, key } }, see componentSystem.defineView
+  // Hooks may be async; errors are logged against the plugin and never break the page
+  use(plugin) {
+    if (!plugin || !plugin.name) {
+      console.warn('🧩 Plugins need a name');
+      return this;
+    }
+
+    if (this.plugins.some(registered => registered.name === plugin.name)) {
+      console.warn(`🧩 Plugin "${plugin.name}" is already registered`);
+      return this;
+    }
+
+    try {
+      this.registerPluginContent(plugin);
+    } catch (error) {
+      console.error(`❌ Plugin "${plugin.name}" could not be registered:`, error);
+      return this;
+    }
+
+    this.plugins.push(plugin);
+    console.log(`🧩 Plugin "${plugin.name}" registered`);
+
+    if (this.isInitialized && (plugin.sections || plugin.afterDataLoad)) {
+      this.catchUpPlugin(plugin);
+    }
+
+    return this;
+  }
+
+  // Bring a plugin registered after startup up to date: lifecycle hooks that already ran
+  // are not replayed, but its data transform applies and its sections render
+  async catchUpPlugin(plugin) {
+    try {
+      const changed = typeof plugin.afterDataLoad === 'function' && await this.loadSiteData();
+
+      await this.renderContent();
+      if (changed) {
+        this.commandPalette.setCommands(this.buildCommands());
+        this.heroTerminal.setCommands(this.buildTerminalCommands());
+      }
+    } catch (error) {
+      this.reportPluginError(plugin, 'use', error);
+    }
+  }
+
+  // Add a plugin's templates, views and section renderers
+  registerPluginContent({ sections = {}, titles = {}, templates = {}, views = {} }) {
+    // Check everything first so a rejected plugin leaves nothing half-registered
+    const taken = Object.keys(sections).filter(section => this.sectionRenderers[section]);
+    if (taken.length) {
+      throw new Error(`Section already rendered elsewhere: ${taken.join(', ')}`);
+    }
+
+    Object.entries(templates).forEach(([name, element]) => {
+      this.componentSystem.registerTemplate(name, element.content ? element.content.firstElementChild : element);
+    });
+
+    Object.entries(views).forEach(([name, view]) => {
+      this.componentSystem.defineView(name, view);
+    });
+
+    Object.assign(this.sectionRenderers, sections);
+    Object.assign(this.sectionTitles, titles);
+  }
+
+  // Run a lifecycle hook on every plugin that defines it
+  // Resolves once async hooks settle; a failing plugin never stops the others
+  callHook(hook, payload = {}) {
+    return Promise.all(this.plugins
+      .filter(plugin => typeof plugin[hook] === 'function')
+      .map(plugin => {
+        try {
+          return Promise.resolve(plugin[hook]({ ...payload, app: this }))
+            .catch(error => this.reportPluginError(plugin, hook, error));
+        } catch (error) {
+          this.reportPluginError(plugin, hook, error);
+          return null;
+        }
+      }));
+  }
+
+  // Pass siteData through each plugin's afterDataLoad in registration order
+  async transformData(siteData, locale) {
+    let data = siteData;
+
+    for (const plugin of this.plugins) {
+      if (typeof plugin.afterDataLoad !== 'function') continue;
+
+      // Plugins get a copy: the original is also the conditional-request cache,
+      // and a plugin that throws halfway through must leave nothing behind
+      const draft = JSON.parse(JSON.stringify(data));
+
+      try {
+        const result = await plugin.afterDataLoad({ siteData: draft, locale, app: this });
+        data = result || draft;
+      } catch (error) {
+        this.reportPluginError(plugin, 'afterDataLoad', error);
+      }
+    }
+
+    return data;
+  }
+
+  // Log a plugin failure with enough context to find the culprit
+  reportPluginError(plugin, hook, error) {
+    console.error(`❌ Plugin "${plugin.name}" failed in ${hook}:`, error);
+    return null;
   }
 
   // Initialize the application
@@ -17,19 +200,33 @@ class TeqpodApp {
     try {
       console.log('🚀 Initializing...');
 
-      // Show loading screen for minimum duration
-      const minLoadTime = new Promise(resolve => setTimeout(resolve, 2000));
+      // Show loading screen for minimum duration, unless content was pre-rendered
+      const isPrerendered = !!this.document.querySelector('[data-prerendered]');
+      const minLoadTime = new Promise(resolve => setTimeout(resolve, isPrerendered ? 0 : 2000));
+
+      await this.callHook('beforeLoad');
       
       // Load data and initialize in parallel
       await Promise.all([
+        this.i18n.loadCatalog(this.i18n.locale),
         this.loadSiteData(),
         minLoadTime
       ]);
 
       this.cacheElements();
-      this.renderContent();
+      this.i18n.translatePage();
+      this.setupLanguageSwitcher();
+      this.setupThemeSwitcher();
+      this.setupMotionToggle();
+      await this.renderContent();
+      this.setupTerminal();
+      this.setupRegistration();
+      this.setupCountdowns();
       this.bindEvents();
       this.initializeComponents();
+      this.setupRouter();
+      this.setupLiveRefresh();
+      this.setupOfflineSupport();
       
       await this.hideLoading();
       
@@ -38,73 +235,339 @@ class TeqpodApp {
       
     } catch (error) {
       console.error('❌ Initialization failed:', error);
-      this.handleError('Failed to load application. Please refresh the page.');
+      this.handleError(this.i18n.t(this.offlineSupport.isOnline ? 'errors.loadFailed' : 'offline.unavailable'));
     }
   }
 
-  // Load site data using fetch API
-  async loadSiteData() {
+  // Load site data, overlaying the localized file for non-default locales
+  // Resolves to whether the content differs from what is currently loaded
+  async loadSiteData(locale = this.i18n.locale) {
     try {
-      const response = await fetch('./assets/data/siteData.json');
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      const [baseData, localizedData] = await Promise.all([
+        this.fetchJSON(this.i18n.getDataURL(this.i18n.defaultLocale)),
+        locale === this.i18n.defaultLocale ? null : this.fetchJSON(this.i18n.getDataURL(locale)).catch(error => {
+          console.warn(`🌐 No localized site data for "${locale}":`, error);
+          return null;
+        })
+      ]);
       
-      this.siteData = await response.json();
+      const mergedData = localizedData ? this.i18n.mergeLocalized(baseData, localizedData) : baseData;
+      const siteData = await this.transformData(mergedData, locale);
+      const changed = JSON.stringify(siteData) !== JSON.stringify(this.siteData);
+
+      this.siteData = siteData;
       console.log('📊 Site data loaded successfully');
-      
+
+      // Validate structure so broken sections can fall back individually
+      this.dataReport = this.siteDataValidator.validate(this.siteData);
+      if (!this.dataReport.valid) {
+        console.warn(`⚠️ ${this.siteDataValidator.formatReport(this.dataReport)}`);
+      }
+
+      // Point the contact form at its configured delivery method
+      if (this.siteData.contactForm && this.dataReport.isSectionValid('contactForm')) {
+        this.formTransport.configure(this.siteData.contactForm);
+      }
+
+      // Send event sign-ups to the configured backend; without one, Register stays hidden
+      this.registration.configure(
+        this.dataReport.isSectionValid('registration') ? this.siteData.registration || {} : {}
+      );
+
+      // Send interaction events to the configured analytics sink
+      if (this.siteData.analytics && this.dataReport.isSectionValid('analytics')) {
+        this.analytics.configure(this.siteData.analytics);
+      }
+
+      return changed;
     } catch (error) {
       console.error('❌ Failed to load site data:', error);
       throw new Error('Could not load site content');
     }
   }
 
+  // Fetch and parse a JSON file, revalidating with ETag / Last-Modified once seen
+  async fetchJSON(url) {
+    const cached = this.dataCache.get(url);
+    const headers = {};
+
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    // no-store hands 304s to us instead of letting the HTTP cache absorb them
+    const response = await this.fetch(url, { headers, cache: 'no-store' });
+
+    if (response.status === 304 && cached) {
+      return cached.data;
+    }
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    this.dataCache.set(url, {
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified'),
+      data
+    });
+    return data;
+  }
+
+  // Re-check siteData periodically and whenever the tab comes back into view
+  setupLiveRefresh() {
+    const { interval, minGap } = this.refreshConfig;
+    this.lastRefresh = Date.now();
+
+    this.refreshTimer = setInterval(() => {
+      if (!this.document.hidden) this.refreshContent();
+    }, interval);
+
+    this.handleRefreshTrigger = () => {
+      if (!this.document.hidden && Date.now() - this.lastRefresh > minGap) {
+        this.refreshContent();
+      }
+    };
+    this.document.addEventListener('visibilitychange', this.handleRefreshTrigger);
+    this.window.addEventListener('focus', this.handleRefreshTrigger);
+  }
+
+  // Register the service worker and reflect connectivity in the offline banner
+  setupOfflineSupport() {
+    this.offlineSupport.onChange(status => this.updateOfflineBanner(status));
+    // The worker found newer siteData than it served from cache
+    this.offlineSupport.onUpdate(() => this.refreshContent());
+
+    this.updateOfflineBanner(this.offlineSupport.getStatus());
+    this.offlineSupport.register();
+  }
+
+  // Show or hide the notice that content may be out of date
+  updateOfflineBanner(status) {
+    const banner = this.elements.offlineBanner;
+    if (!banner) return;
+
+    banner.hidden = status === 'online';
+
+    if (status !== 'online') {
+      const text = banner.querySelector('.offline-banner-text');
+      // Keyed so a language switch re-translates it
+      text.dataset.i18n = `offline.${status}`;
+      this.i18n.setText(text, this.i18n.t(text.dataset.i18n));
+    }
+  }
+
+  // Re-fetch siteData and re-render only what changed
+  async refreshContent() {
+    if (this.isRefreshing) return false;
+
+    this.isRefreshing = true;
+    this.lastRefresh = Date.now();
+
+    try {
+      const changed = await this.loadSiteData();
+      if (!changed) return false;
+
+      await this.renderContent();
+      this.loadRegistrations();
+      this.commandPalette.setCommands(this.buildCommands());
+      this.heroTerminal.setCommands(this.buildTerminalCommands());
+      console.log('🔄 Site content refreshed');
+      return true;
+    } catch (error) {
+      console.warn('🔄 Content refresh failed, keeping current content:', error);
+      return false;
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
   // Cache DOM elements for performance
   cacheElements() {
     this.elements = {
       // Loading
-      loadingScreen: domManager.getElementById('loading-screen'),
+      loadingScreen: this.domManager.getElementById('loading-screen'),
+      offlineBanner: this.domManager.getElementById('offline-banner'),
+      heroNextEvent: this.domManager.getElementById('hero-next-event'),
       
       // Navigation
-      navbar: domManager.getElementById('navbar'),
-      navMenu: domManager.getElementById('nav-menu'),
-      mobileToggle: domManager.getElementById('mobile-menu-toggle'),
-      navLinks: domManager.querySelectorAll('.nav-link'),
+      navbar: this.domManager.getElementById('navbar'),
+      navMenu: this.domManager.getElementById('nav-menu'),
+      mobileToggle: this.domManager.getElementById('mobile-menu-toggle'),
+      languageSwitcher: this.domManager.getElementById('language-switcher'),
+      themeSwitcher: this.domManager.getElementById('theme-switcher'),
+      motionToggle: this.domManager.getElementById('motion-toggle'),
+      navLinks: this.domManager.querySelectorAll('.nav-link'),
       
       // Content containers
-      statsGrid: domManager.getElementById('stats-grid'),
-      featuresGrid: domManager.getElementById('features-grid'),
-      eventsContainer: domManager.getElementById('events-container'),
-      contactInfo: domManager.getElementById('contact-info'),
-      footerLinks: domManager.getElementById('footer-links'),
+      statsGrid: this.domManager.getElementById('stats-grid'),
+      featuresGrid: this.domManager.getElementById('features-grid'),
+      eventsContainer: this.domManager.getElementById('events-container'),
+      eventsCalendarBtn: this.domManager.getElementById('events-calendar-download'),
+      eventsFilters: this.domManager.getElementById('events-filters'),
+      eventsSort: this.domManager.getElementById('events-sort'),
+      eventsArchive: this.domManager.getElementById('events-archive'),
+      eventsArchiveCount: this.domManager.getElementById('events-archive-count'),
+      eventsArchiveContainer: this.domManager.getElementById('events-archive-container'),
+      contactInfo: this.domManager.getElementById('contact-info'),
+      footerLinks: this.domManager.getElementById('footer-links'),
       
       // Form elements
-      contactForm: domManager.getElementById('contact-form'),
-      formInputs: domManager.querySelectorAll('.form-input'),
+      contactForm: this.domManager.getElementById('contact-form'),
+      formInputs: this.domManager.querySelectorAll('.form-input'),
       
       // Sections
-      sections: domManager.querySelectorAll('section[id]')
+      sections: this.domManager.querySelectorAll('section[id]')
     };
   }
 
   // Render all dynamic content
-  renderContent() {
+  async renderContent() {
     if (!this.siteData) return;
 
-    try {
-      // Render all components
-      componentSystem.renderStats(this.siteData.stats, this.elements.statsGrid);
-      componentSystem.renderFeatures(this.siteData.features, this.elements.featuresGrid);
-      componentSystem.renderEvents(this.siteData.events, this.elements.eventsContainer);
-      componentSystem.renderContactInfo(this.siteData.contact, this.elements.contactInfo);
-      componentSystem.renderFooterLinks(this.siteData.footer, this.elements.footerLinks);
-      
+    // Plugins may add their own containers here, before the page is scanned
+    await this.callHook('beforeRender', { siteData: this.siteData });
+
+    // Sections are declared in markup: data-collection names the siteData key,
+    // data-template the template to render each item with
+    const sections = this.domManager.querySelectorAll('[data-collection]').map(container => {
+      const section = container.dataset.collection;
+      return [section, container, this.sectionRenderers[section] || container.dataset.template];
+    });
+
+    // Each section renders independently so one failure can't blank the rest
+
+    const failed = sections.filter(([section, container, method]) => 
+      !this.renderSection(section, container, method)
+    );
+
+    // Machine-readable copy of the same content for search engines
+    this.structuredData.update(this.siteData, this.dataReport);
+
+    await this.callHook('afterRender', { siteData: this.siteData });
+
+    if (failed.length) {
+      console.warn(`🎨 Content rendered with fallbacks for: ${failed.map(([section]) => section).join(', ')}`);
+    } else {
       console.log('🎨 Content rendered successfully');
-      
+    }
+  }
+
+  // Render one section, replacing it with an inline fallback on failure
+  renderSection(section, container, render) {
+    if (!container) return true;
+
+    if (this.dataReport && !this.dataReport.isSectionValid(section)) {
+      this.componentSystem.clearContainer(container);
+      this.componentSystem.renderFallback(container, section, this.sectionTitles[section]);
+      return false;
+    }
+
+    try {
+      if (typeof render === 'function') {
+        render(this.siteData[section], container);
+      } else {
+        this.componentSystem.renderCollection(render, this.siteData[section], container);
+      }
+      return true;
     } catch (error) {
-      console.error('❌ Content rendering failed:', error);
+      console.error(`❌ Rendering "${section}" failed:`, error);
+      this.componentSystem.clearContainer(container);
+      this.componentSystem.renderFallback(container, section, this.sectionTitles[section]);
+      return false;
+    }
+  }
+
+  // Render upcoming events, filter chips and the past-events archive
+  renderEventsSection(events, container) {
+    const { type, order } = this.eventFilters;
+    const { upcoming: visibleUpcoming, past: visiblePast } = this.eventSchedule.arrange(events, { type, order });
+    const types = [...new Set(events.map(event => event.type))];
+
+    // Filter chips
+    if (this.elements.eventsFilters) {
+      this.componentSystem.clearContainer(this.elements.eventsFilters);
+      this.componentSystem.renderEventFilters(types, type, this.elements.eventsFilters);
+    }
+
+    if (this.elements.eventsSort) {
+      this.elements.eventsSort.value = order;
+    }
+
+    // Upcoming timeline
+    if (visibleUpcoming.length) {
+      this.componentSystem.renderCollection('event-item', visibleUpcoming, container);
+    } else {
+      this.componentSystem.clearContainer(container);
+      const message = type === 'all'
+        ? this.i18n.t('events.emptyAll')
+        : this.i18n.t('events.emptyType', { type });
+      this.componentSystem.renderEmptyState(container, message);
+    }
+
+    // Past events, most recent first
+    const { eventsArchive, eventsArchiveCount, eventsArchiveContainer } = this.elements;
+
+    if (eventsArchive && eventsArchiveContainer) {
+      eventsArchive.hidden = visiblePast.length === 0;
+      this.componentSystem.renderCollection('event-item', visiblePast, eventsArchiveContainer);
+
+      if (eventsArchiveCount) {
+        eventsArchiveCount.textContent = `(${this.i18n.formatNumber(visiblePast.length)})`;
+      }
     }
+
+    this.updateCalendarButton();
+    this.renderNextEvent();
+  }
+
+  // Point the hero at the next event, counting down to its start
+  renderNextEvent() {
+    const link = this.elements.heroNextEvent;
+    if (!link) return;
+
+    const countdownEl = link.querySelector('.hero-next-countdown');
+    const event = this.getUpcomingEvents().find(upcoming => upcoming.status !== 'cancelled');
+
+    link.hidden = !event;
+    if (!event) {
+      this.countdown.unwatch(countdownEl);
+      return;
+    }
+
+    link.setAttribute('href', `#/events/${this.componentSystem.getEventSlug(event)}`);
+    link.querySelector('.hero-next-title').textContent = event.title;
+    this.countdown.watch(countdownEl, event);
+  }
+
+  // Move events along as they start and end: live ones stay listed, ended ones go to the archive
+  setupCountdowns() {
+    this.unsubscribeCountdown = this.countdown.onPhaseChange(() => {
+      this.renderSection('events', this.elements.eventsContainer, this.sectionRenderers.events);
+    });
+  }
+
+  // Keep spots-left counts on the event cards current
+  setupRegistration() {
+    this.unsubscribeRegistration = this.registration.onChange(() => {
+      this.renderSection('events', this.elements.eventsContainer, this.sectionRenderers.events);
+    });
+    this.loadRegistrations();
+  }
+
+  // Fetch sign-up counts for upcoming events that take registrations
+  loadRegistrations() {
+    const slugs = this.getUpcomingEvents()
+      .filter(event => event.registration)
+      .map(event => this.componentSystem.getEventSlug(event));
+
+    return this.registration.load(slugs);
+  }
+
+  // Update event filters and re-render the events section
+  setEventFilters(filters) {
+    this.eventFilters = { ...this.eventFilters, ...filters };
+    this.renderSection('events', this.elements.eventsContainer, this.sectionRenderers.events);
   }
 
   // Bind all event handlers
@@ -112,6 +575,9 @@ class TeqpodApp {
     // Navigation events
     this.bindNavigationEvents();
     
+    // Event card events
+    this.bindEventCardEvents();
+    
     // Form events
     this.bindFormEvents();
     
@@ -140,13 +606,17 @@ class TeqpodApp {
       link.addEventListener('click', (e) => {
         e.preventDefault();
         const targetId = link.getAttribute('href');
+        this.analytics.track(this.analytics.events.NAV_CLICK, {
+          target: targetId,
+          source: this.elements.navMenu.classList.contains('active') ? 'mobile' : 'desktop'
+        });
         this.navigateToSection(targetId);
         this.closeMobileMenu();
       });
     });
 
     // Close mobile menu on outside click
-    document.addEventListener('click', (e) => {
+    this.document.addEventListener('click', (e) => {
       if (!this.elements.navMenu.contains(e.target) && 
           !this.elements.mobileToggle.contains(e.target)) {
         this.closeMobileMenu();
@@ -154,17 +624,84 @@ class TeqpodApp {
     });
 
     // Smooth scroll for CTA buttons
-    domManager.querySelectorAll('.cta-primary, .cta-secondary').forEach(btn => {
+    this.domManager.querySelectorAll('.cta-primary, .cta-secondary').forEach(btn => {
       if (btn.getAttribute('href')?.startsWith('#')) {
         btn.addEventListener('click', (e) => {
           e.preventDefault();
           const targetId = btn.getAttribute('href');
+          this.analytics.track(this.analytics.events.CTA_CLICK, {
+            cta: btn.classList.contains('cta-primary') ? 'primary' : 'secondary',
+            target: targetId
+          });
           this.navigateToSection(targetId);
         });
       }
     });
   }
 
+  // Bind event card and calendar export events
+  bindEventCardEvents() {
+    const openFromCard = (target) => {
+      const card = target.closest('.event-card');
+      const item = card && card.closest('.event-item');
+      if (item && item.dataset.slug) {
+        this.hashRouter.navigate(`#/events/${item.dataset.slug}`);
+      }
+    };
+
+    [this.elements.eventsContainer, this.elements.eventsArchiveContainer].forEach(container => {
+      if (!container) return;
+
+      container.addEventListener('click', (e) => {
+        // The Register button sits beside the card and goes straight to the form
+        const registerBtn = e.target.closest('[data-action="register"]');
+        const item = registerBtn && registerBtn.closest('.event-item');
+
+        if (item && item.dataset.slug) {
+          this.hashRouter.navigate(`#/events/${item.dataset.slug}/register`);
+          return;
+        }
+
+        openFromCard(e.target);
+      });
+      container.addEventListener('keydown', (e) => {
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('event-card')) {
+          e.preventDefault();
+          openFromCard(e.target);
+        }
+      });
+    });
+
+    // Type filter chips
+    if (this.elements.eventsFilters) {
+      this.elements.eventsFilters.addEventListener('click', (e) => {
+        const chip = e.target.closest('.event-filter');
+        if (chip && chip.dataset.type !== this.eventFilters.type) {
+          const { type } = chip.dataset;
+          this.setEventFilters({ type });
+
+          // Chips are re-rendered; keep keyboard focus on the chosen one
+          const activeChip = this.domManager.querySelectorAll('.event-filter', this.elements.eventsFilters)
+            .find(el => el.dataset.type === type);
+          if (activeChip) activeChip.focus();
+        }
+      });
+    }
+
+    // Date ordering
+    if (this.elements.eventsSort) {
+      this.elements.eventsSort.addEventListener('change', (e) => {
+        this.setEventFilters({ order: e.target.value });
+      });
+    }
+
+    if (this.elements.eventsCalendarBtn) {
+      this.elements.eventsCalendarBtn.addEventListener('click', () => {
+        this.downloadUpcomingEvents();
+      });
+    }
+  }
+
   // Bind form events
   bindFormEvents() {
     if (!this.elements.contactForm) return;
@@ -177,7 +714,7 @@ class TeqpodApp {
     // Enhanced input interactions
     this.elements.formInputs.forEach(input => {
       // Focus animations
-      animationSystem.animateFormFocus(input);
+      this.animationSystem.animateFormFocus(input);
       
       // Real-time validation (optional)
       input.addEventListener('input', (e) => {
@@ -189,11 +726,11 @@ class TeqpodApp {
   // Bind scroll events
   bindScrollEvents() {
     // Throttled scroll handler for performance
-    const scrollHandler = domManager.throttle(() => {
+    const scrollHandler = this.domManager.throttle(() => {
       this.handleScroll();
     }, 16); // ~60fps
 
-    window.addEventListener('scroll', scrollHandler, { passive: true });
+    this.window.addEventListener('scroll', scrollHandler, { passive: true });
     
     // Setup intersection observer for active navigation
     this.setupSectionObserver();
@@ -201,16 +738,16 @@ class TeqpodApp {
 
   // Bind resize events
   bindResizeEvents() {
-    const resizeHandler = domManager.debounce(() => {
+    const resizeHandler = this.domManager.debounce(() => {
       this.handleResize();
     }, 250);
 
-    window.addEventListener('resize', resizeHandler);
+    this.window.addEventListener('resize', resizeHandler);
   }
 
   // Bind keyboard events
   bindKeyboardEvents() {
-    document.addEventListener('keydown', (e) => {
+    this.document.addEventListener('keydown', (e) => {
       this.handleKeyboard(e);
     });
   }
@@ -219,34 +756,604 @@ class TeqpodApp {
   initializeComponents() {
     // Components are initialized through their respective systems
     // Animation system is already initialized globally
+    this.commandPalette.setCommands(this.buildCommands());
+    
     console.log('🔧 Components initialized');
   }
 
+  // Build command palette entries from navigation and site data
+  buildCommands() {
+    const commands = this.elements.navLinks.map(link => ({
+      id: `section:${link.dataset.section}`,
+      title: link.textContent.trim(),
+      group: this.i18n.t('palette.section'),
+      icon: '§',
+      run: () => this.navigateToSection(link.getAttribute('href'))
+    }));
+
+    const { events = [], features = [] } = this.siteData || {};
+    const eventsReady = !this.dataReport || this.dataReport.isSectionValid('events');
+    const featuresReady = !this.dataReport || this.dataReport.isSectionValid('features');
+
+    if (eventsReady) {
+      events.forEach(event => {
+        const slug = this.componentSystem.getEventSlug(event);
+        commands.push({
+          id: `event:${slug}`,
+          title: event.title,
+          group: this.i18n.t('palette.event'),
+          icon: event.icon || '📅',
+          keywords: [event.type],
+          run: () => this.hashRouter.navigate(`#/events/${slug}`)
+        });
+      });
+    }
+
+    if (featuresReady) {
+      features.forEach(feature => {
+        commands.push({
+          id: `feature:${this.domManager.slugify(feature.title)}`,
+          title: feature.title,
+          group: this.i18n.t('palette.feature'),
+          icon: feature.icon,
+          run: () => this.navigateToSection('#features')
+        });
+      });
+    }
+
+    const email = this.getContactEmail();
+    if (email) {
+      commands.push({
+        id: 'action:copy-email',
+        title: this.i18n.t('palette.copyEmail'),
+        group: this.i18n.t('palette.action'),
+        icon: '📋',
+        keywords: [email],
+        run: () => this.copyToClipboard(email, this.i18n.t('palette.copied'))
+      });
+    }
+
+    commands.push({
+      id: 'action:contact-form',
+      title: this.i18n.t('palette.openForm'),
+      group: this.i18n.t('palette.action'),
+      icon: '✉️',
+      keywords: ['message', 'write'],
+      run: () => this.openContactForm()
+    });
+
+    return commands;
+  }
+
+  // Find the email address among the contact entries
+  getContactEmail() {
+    const contacts = (this.siteData && Array.isArray(this.siteData.contact)) ? this.siteData.contact : [];
+    const entry = contacts.find(contact => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.value || ''));
+    return entry ? entry.value : '';
+  }
+
+  // Copy text and report the outcome
+  async copyToClipboard(text, successMessage) {
+    try {
+      await this.window.navigator.clipboard.writeText(text);
+      this.componentSystem.createNotification(successMessage, 'success');
+    } catch (error) {
+      this.componentSystem.createNotification(this.i18n.t('palette.copyFailed', { text }), 'warning');
+    }
+  }
+
+  // Mount the hero terminal; its prompt appears once the boot script has printed
+  setupTerminal() {
+    const mounted = this.heroTerminal.mount();
+    this.playTerminalScript();
+    if (!mounted) return;
+
+    this.heroTerminal.setCommands(this.buildTerminalCommands());
+    this.animationSystem.terminalReady.then(() => this.heroTerminal.show());
+
+    // The first command settles the script so output never interleaves with it
+    this.heroTerminal.onCommand(() => {
+      this.terminalUsed = true;
+      this.animationSystem.finishTerminalScript();
+    });
+  }
+
+  // Type the boot script from siteData into the hero terminal
+  playTerminalScript() {
+    const script = this.dataReport.isSectionValid('terminal') ? this.siteData.terminal : null;
+    return this.animationSystem.playTerminalScript(script);
+  }
+
+  // Build hero terminal commands from navigation and site data
+  buildTerminalCommands() {
+    const sections = this.elements.navLinks.map(link => link.dataset.section);
+    const isReady = (section) => !this.dataReport || this.dataReport.isSectionValid(section);
+    const describe = (command) => this.i18n.t(`terminal.commands.${command}`);
+
+    return [
+      {
+        name: 'events',
+        usage: 'events [past]',
+        description: describe('events'),
+        complete: () => ['past'],
+        run: ([which], terminal) => {
+          if (!isReady('events')) {
+            terminal.print(this.i18n.t('terminal.unavailable'), 'error');
+            return;
+          }
+
+          const { upcoming, past } = this.eventSchedule.arrange(this.siteData.events || []);
+          const events = which === 'past' ? past : upcoming;
+
+          if (!events.length) {
+            terminal.print(this.i18n.t(which === 'past' ? 'terminal.noPastEvents' : 'terminal.noEvents'), 'muted');
+            return;
+          }
+
+          // Titles link to the event's deep link, which the router opens
+          events.forEach(event => {
+            const link = this.domManager.createElement('a', 'terminal-link', {
+              href: `#/events/${this.componentSystem.getEventSlug(event)}`
+            });
+            link.appendChild(this.domManager.createTextNode(event.title));
+            terminal.print([
+              `${event.icon || '📅'} ${this.eventSchedule.formatFullDate(event, this.i18n.locale)} `,
+              link
+            ]);
+          });
+        }
+      },
+      {
+        name: 'features',
+        usage: 'features',
+        description: describe('features'),
+        run: (args, terminal) => {
+          if (!isReady('features')) {
+            terminal.print(this.i18n.t('terminal.unavailable'), 'error');
+            return;
+          }
+
+          (this.siteData.features || []).forEach(feature => {
+            terminal.print(`${feature.icon} ${feature.title}`);
+          });
+        }
+      },
+      {
+        name: 'contact',
+        usage: 'contact',
+        description: describe('contact'),
+        run: (args, terminal) => {
+          if (!isReady('contact')) {
+            terminal.print(this.i18n.t('terminal.unavailable'), 'error');
+            return;
+          }
+
+          const email = this.getContactEmail();
+          (this.siteData.contact || []).forEach(contact => {
+            const value = contact.value === email
+              ? this.domManager.createElement('a', 'terminal-link', { href: `mailto:${email}` })
+              : this.domManager.createElement('span');
+            value.appendChild(this.domManager.createTextNode(contact.value));
+            terminal.print([`${contact.icon} ${contact.title}: `, value]);
+          });
+        }
+      },
+      {
+        name: 'goto',
+        usage: 'goto <section>',
+        description: describe('goto'),
+        complete: () => sections,
+        run: ([section = ''], terminal) => {
+          const target = section.toLowerCase();
+
+          if (!sections.includes(target)) {
+            const key = section ? 'terminal.unknownSection' : 'terminal.gotoUsage';
+            terminal.print(this.i18n.t(key, { section, sections: sections.join(', ') }), 'error');
+            return;
+          }
+
+          terminal.print(`→ #${target}`, 'muted');
+          this.navigateToSection(`#${target}`);
+        }
+      },
+      {
+        name: 'replay',
+        usage: 'replay',
+        description: describe('replay'),
+        run: (args, terminal) => {
+          terminal.clear();
+          this.playTerminalScript();
+        }
+      }
+    ];
+  }
+
+  // Scroll to the contact form and focus its first field
+  openContactForm() {
+    this.navigateToSection('#contact');
+
+    const firstInput = this.elements.formInputs[0];
+    if (firstInput) {
+      firstInput.focus({ preventScroll: true });
+    }
+  }
+
+  // Populate the language switcher and react to changes
+  setupLanguageSwitcher() {
+    const select = this.elements.languageSwitcher;
+    if (!select) return;
+
+    this.componentSystem.clearContainer(select);
+    Object.entries(this.i18n.locales).forEach(([code, name]) => {
+      const option = this.domManager.createElement('option', '', { value: code, lang: code });
+      option.appendChild(this.domManager.createTextNode(name));
+      select.appendChild(option);
+    });
+    select.value = this.i18n.locale;
+
+    select.addEventListener('change', () => {
+      this.changeLocale(select.value);
+    });
+  }
+
+  // Populate the theme switcher; labels are translated with the page
+  setupThemeSwitcher() {
+    const select = this.elements.themeSwitcher;
+    if (!select) return;
+
+    this.componentSystem.clearContainer(select);
+    this.themeManager.modes.forEach(mode => {
+      const option = this.domManager.createElement('option', '', { value: mode, 'data-i18n': `theme.${mode}` });
+      option.appendChild(this.domManager.createTextNode(this.i18n.t(`theme.${mode}`)));
+      select.appendChild(option);
+    });
+    select.value = this.themeManager.mode;
+
+    select.addEventListener('change', () => {
+      this.themeManager.setMode(select.value);
+    });
+  }
+
+  // Reduce motion toggle; also reflects changes to the OS setting
+  setupMotionToggle() {
+    const toggle = this.elements.motionToggle;
+    if (!toggle) return;
+
+    const sync = (reduced) => toggle.setAttribute('aria-pressed', String(reduced));
+    sync(this.motionPreference.isReduced);
+    this.unsubscribeMotion = this.motionPreference.onChange(sync);
+
+    toggle.addEventListener('click', () => {
+      this.motionPreference.toggle();
+    });
+  }
+
+  // Switch language and re-render without a reload
+  async changeLocale(locale) {
+    if (locale === this.i18n.locale) return;
+
+    try {
+      await Promise.all([
+        this.i18n.loadCatalog(locale),
+        this.loadSiteData(locale)
+      ]);
+      await this.i18n.setLocale(locale);
+    } catch (error) {
+      console.error(`❌ Switching to "${locale}" failed:`, error);
+      this.elements.languageSwitcher.value = this.i18n.locale;
+      return;
+    }
+
+    // Translated type names don't carry over between locales
+    this.eventFilters.type = 'all';
+    this.closeEventDetail();
+    this.closeRegistration();
+
+    this.i18n.translatePage();
+    await this.renderContent();
+    this.commandPalette.reset();
+    this.commandPalette.setCommands(this.buildCommands());
+    this.heroTerminal.setCommands(this.buildTerminalCommands());
+
+    // Retype the boot script in the new language unless the visitor has been using the terminal
+    if (!this.terminalUsed) {
+      this.heroTerminal.clear();
+      this.playTerminalScript();
+    }
+
+    console.log(`🌐 Language switched to ${locale}`);
+  }
+
   // Navigation methods
   toggleMobileMenu() {
-    domManager.toggleClass(this.elements.mobileToggle, 'active');
-    domManager.toggleClass(this.elements.navMenu, 'active');
+    this.domManager.toggleClass(this.elements.mobileToggle, 'active');
+    this.domManager.toggleClass(this.elements.navMenu, 'active');
     
     // Prevent body scroll when menu is open
     const isActive = this.elements.navMenu.classList.contains('active');
-    document.body.style.overflow = isActive ? 'hidden' : '';
+    this.document.body.style.overflow = isActive ? 'hidden' : '';
   }
 
   closeMobileMenu() {
-    domManager.removeClass(this.elements.mobileToggle, 'active');
-    domManager.removeClass(this.elements.navMenu, 'active');
-    document.body.style.overflow = '';
+    this.domManager.removeClass(this.elements.mobileToggle, 'active');
+    this.domManager.removeClass(this.elements.navMenu, 'active');
+    this.document.body.style.overflow = '';
   }
 
-  navigateToSection(targetId) {
-    const targetSection = domManager.querySelector(targetId);
+  navigateToSection(targetId, { updateHistory = true } = {}) {
+    const sectionId = targetId.replace(/^#/, '');
+    const targetSection = this.domManager.getElementById(sectionId);
     if (!targetSection) return;
 
     // Smooth scroll to section
-    animationSystem.smoothScrollTo(targetSection, 80);
+    this.scrollToTarget(targetSection);
     
     // Update current section
-    this.currentSection = targetId.substring(1);
+    this.updateActiveNavigation(sectionId);
+
+    if (updateHistory) {
+      this.hashRouter.navigate(`#${sectionId}`, { silent: true });
+    }
+  }
+
+  // Scroll without letting the section observer rewrite the URL mid-flight
+  scrollToTarget(element, offset = 80) {
+    this.isProgrammaticScroll = true;
+    this.animationSystem.smoothScrollTo(element, offset).then(completed => {
+      // A cancelled scroll was replaced by a newer one, which clears the flag itself
+      if (completed) this.isProgrammaticScroll = false;
+    });
+  }
+
+  // Register routes and restore the scroll target for the initial hash
+  setupRouter() {
+    this.hashRouter
+      .on('events/:slug/register', ({ slug }) => {
+        this.openRegistration(slug);
+      })
+      .on('events/:slug', ({ slug }) => {
+        this.closeRegistration();
+        this.openEvent(slug);
+      })
+      .on(':section', ({ section }) => {
+        this.closeEventDetail();
+        this.closeRegistration();
+        this.navigateToSection(`#${section}`, { updateHistory: false });
+      })
+      .otherwise((params, { initial }) => {
+        this.closeEventDetail();
+        this.closeRegistration();
+        
+        // Back to the hash-less entry returns to the top
+        if (!initial) {
+          this.navigateToSection('#home', { updateHistory: false });
+        }
+      });
+
+    this.hashRouter.start();
+  }
+
+  // Deep link to a single event within the events section
+  openEvent(slug) {
+    const event = this.findEvent(slug);
+
+    // The event may be hidden by the active type filter
+    if (event && !this.domManager.getElementById(`event-${slug}`) && this.eventFilters.type !== 'all') {
+      this.setEventFilters({ type: 'all' });
+    }
+
+    const eventItem = this.domManager.getElementById(`event-${slug}`);
+    if (!eventItem || !event) {
+      console.warn(`🔗 Unknown event "${slug}"`);
+      this.hashRouter.replace('#events');
+      this.navigateToSection('#events', { updateHistory: false });
+      return;
+    }
+
+    this.domManager.querySelectorAll('.event-item.highlighted', this.elements.eventsContainer)
+      .forEach(item => this.domManager.removeClass(item, 'highlighted'));
+    this.domManager.addClass(eventItem, 'highlighted');
+
+    // Past events live inside the collapsed archive
+    if (this.elements.eventsArchive && this.elements.eventsArchive.contains(eventItem)) {
+      this.elements.eventsArchive.open = true;
+    }
+
+    this.scrollToTarget(eventItem, 120);
+    this.updateActiveNavigation('events');
+    this.showEventDetail(event, slug);
+  }
+
+  // Look up an event by slug
+  findEvent(slug) {
+    const events = (this.siteData && this.siteData.events) || [];
+    return events.find(event => this.componentSystem.getEventSlug(event) === slug) || null;
+  }
+
+  // Open the detail view for an event
+  showEventDetail(event, slug) {
+    if (this.eventDetail && this.eventDetail.slug === slug) return;
+    this.closeEventDetail();
+
+    this.analytics.track(this.analytics.events.EVENT_OPEN, { slug, type: event.type });
+
+    const content = this.componentSystem.createEventDetail(event);
+    const calendarBtn = content.querySelector('[data-action="add-to-calendar"]');
+    calendarBtn.addEventListener('click', () => this.calendarExport.downloadEvent(event));
+
+    const registerBtn = content.querySelector('[data-action="register"]');
+    if (registerBtn) {
+      registerBtn.addEventListener('click', () => this.hashRouter.navigate(`#/events/${slug}/register`));
+    }
+
+    const { close } = this.componentSystem.createModal(event.title, content, {
+      onClose: () => {
+        this.eventDetail = null;
+
+        // Closing the view leaves the deep link, unless routing already did
+        if (this.hashRouter.getPath() === `events/${slug}`) {
+          this.hashRouter.replace('#events');
+        }
+      }
+    });
+
+    this.eventDetail = { slug, close };
+  }
+
+  // Close the open event detail view, if any
+  closeEventDetail() {
+    if (this.eventDetail) {
+      this.eventDetail.close();
+    }
+  }
+
+  // Open the sign-up form for an event, from its Register button or #/events/<slug>/register
+  openRegistration(slug) {
+    if (this.registrationForm && this.registrationForm.slug === slug) return;
+
+    const event = this.findEvent(slug);
+    const status = event && this.eventSchedule.isUpcoming(event)
+      ? this.registration.getStatus(slug, event)
+      : null;
+
+    // Events that don't take sign-ups, or no longer do, show their details instead
+    if (!status || status.state !== 'open') {
+      if (status) {
+        this.componentSystem.createNotification(this.i18n.t(`registration.errors.${status.state}`), 'info');
+      }
+      this.hashRouter.replace(`#/events/${slug}`);
+      this.openEvent(slug);
+      return;
+    }
+
+    this.closeEventDetail();
+    this.closeRegistration();
+    this.updateActiveNavigation('events');
+
+    const form = this.componentSystem.createRegistrationForm(event);
+    form.addEventListener('submit', (e) => this.handleRegistrationSubmit(e, event, slug));
+
+    this.domManager.querySelectorAll('.form-input', form).forEach(input => {
+      this.animationSystem.animateFormFocus(input);
+      input.addEventListener('input', (e) => this.validateField(e.target));
+    });
+
+    const { close } = this.componentSystem.createModal(
+      this.i18n.t('registration.title', { title: event.title }),
+      form,
+      {
+        onClose: () => {
+          this.registrationForm = null;
+
+          if (this.hashRouter.getPath() === `events/${slug}/register`) {
+            this.hashRouter.replace('#events');
+          }
+        }
+      }
+    );
+
+    this.registrationForm = { slug, close };
+  }
+
+  // Close the open registration form, if any
+  closeRegistration() {
+    if (this.registrationForm) {
+      this.registrationForm.close();
+    }
+  }
+
+  // Send a registration and report how it went
+  async handleRegistrationSubmit(e, event, slug) {
+    e.preventDefault();
+
+    const form = e.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const submitLabel = submitBtn.querySelector('.submit-text');
+
+    if (!this.validateForm(form)) {
+      this.componentSystem.createNotification(this.i18n.t('form.invalid'), 'error');
+      this.analytics.track(this.analytics.events.EVENT_REGISTER, { slug, outcome: 'invalid' });
+      return;
+    }
+
+    try {
+      submitLabel.textContent = this.i18n.t('form.sending');
+      submitBtn.disabled = true;
+      this.domManager.addClass(submitBtn, 'loading');
+
+      await this.registration.register(slug, event, Object.fromEntries(new FormData(form)));
+
+      this.closeRegistration();
+      this.componentSystem.createNotification(this.i18n.t('registration.success', { title: event.title }), 'success');
+      this.analytics.track(this.analytics.events.EVENT_REGISTER, { slug, outcome: 'success' });
+
+    } catch (error) {
+      console.error('Registration error:', error);
+
+      // Fields rejected by the backend are flagged the same way as on the contact form
+      const message = Object.keys(error.fieldErrors || {}).length
+        ? this.describeSubmitError(form, error)
+        : this.i18n.t(`registration.errors.${error.code || 'unavailable'}`);
+      const actions = error.retryable
+        ? [{ label: this.i18n.t('form.retry'), run: () => form.requestSubmit() }]
+        : [];
+
+      this.componentSystem.createNotification(message, 'error', { actions });
+      this.analytics.track(this.analytics.events.EVENT_REGISTER, {
+        slug,
+        outcome: 'error',
+        code: error.code || null,
+        retryable: !!error.retryable
+      });
+
+      // A full or closed event can't be signed up for, so the form has nothing left to offer
+      if (error.code === 'full' || error.code === 'closed') {
+        this.closeRegistration();
+      }
+    } finally {
+      submitLabel.textContent = this.i18n.t('registration.register');
+      submitBtn.disabled = false;
+      this.domManager.removeClass(submitBtn, 'loading');
+    }
+  }
+
+  // Events that have not finished yet, soonest first
+  getUpcomingEvents() {
+    if (!this.siteData || (this.dataReport && !this.dataReport.isSectionValid('events'))) {
+      return [];
+    }
+
+    return this.eventSchedule.sortByStart(this.eventSchedule.partition(this.siteData.events).upcoming);
+  }
+
+  // Only offer the bulk download when there is something to download
+  updateCalendarButton() {
+    if (this.elements.eventsCalendarBtn) {
+      this.elements.eventsCalendarBtn.hidden = this.getUpcomingEvents().length === 0;
+    }
+  }
+
+  // Download every upcoming event as one calendar
+  downloadUpcomingEvents() {
+    const upcoming = this.getUpcomingEvents();
+
+    if (!upcoming.length) {
+      this.componentSystem.createNotification(this.i18n.t('events.noneToDownload'), 'info');
+      return;
+    }
+
+    this.calendarExport.downloadEvents(upcoming, 'teqpod-upcoming-events.ics');
+  }
+
+  // Mirror the section in view into the address bar without new history entries
+  syncHash(sectionId) {
+    if (!this.isInitialized || this.isProgrammaticScroll) return;
+
+    const [currentSection] = this.hashRouter.getPath().split('/');
+    if (currentSection === sectionId) return;
+    if (!currentSection && sectionId === 'home') return;
+
+    this.hashRouter.replace(`#${sectionId}`);
   }
 
   // Setup intersection observer for navigation
@@ -256,11 +1363,17 @@ class TeqpodApp {
       threshold: 0.1
     };
 
-    const observer = domManager.createIntersectionObserver((entries) => {
+    const observer = this.domManager.createIntersectionObserver((entries) => {
       entries.forEach(entry => {
+        const sectionId = entry.target.id;
+
         if (entry.isIntersecting) {
-          const sectionId = entry.target.id;
           this.updateActiveNavigation(sectionId);
+          this.syncHash(sectionId);
+          this.analytics.startSection(sectionId);
+        } else {
+          // Records how long the section was on screen
+          this.analytics.endSection(sectionId);
         }
       });
     }, observerOptions);
@@ -272,25 +1385,30 @@ class TeqpodApp {
 
   // Update active navigation state
   updateActiveNavigation(sectionId) {
+    const previous = this.currentSection;
     this.currentSection = sectionId;
+
+    if (sectionId !== previous) {
+      this.callHook('onSectionChange', { section: sectionId, previous });
+    }
     
     this.elements.navLinks.forEach(link => {
-      domManager.removeClass(link, 'active');
+      this.domManager.removeClass(link, 'active');
       if (link.getAttribute('href') === `#${sectionId}`) {
-        domManager.addClass(link, 'active');
+        this.domManager.addClass(link, 'active');
       }
     });
   }
 
   // Handle scroll events
   handleScroll() {
-    const scrollY = window.pageYOffset;
+    const scrollY = this.window.pageYOffset;
     
     // Update navbar appearance
     if (scrollY > 100) {
-      domManager.addClass(this.elements.navbar, 'scrolled');
+      this.domManager.addClass(this.elements.navbar, 'scrolled');
     } else {
-      domManager.removeClass(this.elements.navbar, 'scrolled');
+      this.domManager.removeClass(this.elements.navbar, 'scrolled');
     }
   }
 
@@ -301,42 +1419,55 @@ class TeqpodApp {
     const form = e.target;
     const formData = new FormData(form);
     const submitBtn = form.querySelector('button[type="submit"]');
-    const originalText = submitBtn.textContent;
+    const submitLabel = submitBtn.querySelector('.submit-text') || submitBtn;
     
     // Validation
     if (!this.validateForm(form)) {
-      componentSystem.createNotification('Please fill in all required fields correctly.', 'error');
+      this.componentSystem.createNotification(this.i18n.t('form.invalid'), 'error');
+      this.analytics.track(this.analytics.events.FORM_SUBMIT, { outcome: 'invalid' });
       return;
     }
 
     try {
       // Show loading state
-      submitBtn.textContent = 'Sending...';
+      submitLabel.textContent = this.i18n.t('form.sending');
       submitBtn.disabled = true;
-      domManager.addClass(submitBtn, 'loading');
+      this.domManager.addClass(submitBtn, 'loading');
       
-      // Simulate form submission
-      await this.submitForm(formData);
+      const result = await this.submitForm(formData);
       
       // Success
-      componentSystem.createNotification(
-        '🚀 Message sent successfully! We\'ll get back to you soon.', 
-        'success'
-      );
+      if (result.transport === 'mailto') {
+        this.componentSystem.createNotification(this.i18n.t('form.mailto'), 'info');
+      } else {
+        this.componentSystem.createNotification(result.message || this.i18n.t('form.success'), 'success');
+      }
+      this.analytics.track(this.analytics.events.FORM_SUBMIT, {
+        outcome: result.transport === 'mailto' ? 'mailto' : 'success',
+        transport: result.transport
+      });
       
       this.resetForm(form);
       
     } catch (error) {
       console.error('Form submission error:', error);
-      componentSystem.createNotification(
-        'Failed to send message. Please try again.', 
-        'error'
-      );
+
+      // Temporary failures can be retried straight from the toast
+      const actions = error.retryable
+        ? [{ label: this.i18n.t('form.retry'), run: () => form.requestSubmit() }]
+        : [];
+      this.componentSystem.createNotification(this.describeSubmitError(form, error), 'error', { actions });
+      this.analytics.track(this.analytics.events.FORM_SUBMIT, {
+        outcome: 'error',
+        transport: this.formTransport.config.transport,
+        status: error.status || null,
+        retryable: !!error.retryable
+      });
     } finally {
       // Reset button state
-      submitBtn.textContent = originalText;
+      submitLabel.textContent = this.i18n.t('contact.send');
       submitBtn.disabled = false;
-      domManager.removeClass(submitBtn, 'loading');
+      this.domManager.removeClass(submitBtn, 'loading');
     }
   }
 
@@ -376,27 +1507,45 @@ class TeqpodApp {
     // Visual feedback
     const formGroup = field.closest('.form-group');
     if (isValid) {
-      domManager.removeClass(formGroup, 'error');
+      this.domManager.removeClass(formGroup, 'error');
+      field.removeAttribute('aria-invalid');
     } else {
-      domManager.addClass(formGroup, 'error');
+      this.domManager.addClass(formGroup, 'error');
+      field.setAttribute('aria-invalid', 'true');
     }
 
     return isValid;
   }
 
-  // Submit form (simulation)
+  // Submit form through the configured transport
   async submitForm(formData) {
-    // Simulate API call
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // Simulate 90% success rate
-        if (Math.random() > 0.1) {
-          resolve({ success: true });
-        } else {
-          reject(new Error('Server error'));
-        }
-      }, 2000);
+    return this.formTransport.submit(formData);
+  }
+
+  // Flag fields rejected by the server and build a readable message
+  describeSubmitError(form, error) {
+    const fieldErrors = Object.entries(error.fieldErrors || {});
+
+    if (!fieldErrors.length) {
+      return error.status && error.status < 500 && error.message
+        ? error.message
+        : this.i18n.t('form.failed');
+    }
+
+    const details = fieldErrors.map(([name, message]) => {
+      const field = form.elements.namedItem(name);
+      const formGroup = field && field.closest ? field.closest('.form-group') : null;
+      const label = formGroup ? formGroup.querySelector('.form-label') : null;
+
+      this.domManager.addClass(formGroup, 'error');
+      if (field && field.setAttribute) {
+        field.setAttribute('aria-invalid', 'true');
+      }
+
+      return `${label ? label.textContent.trim() : name}: ${message}`;
     });
+
+    return this.i18n.t('form.fieldErrors', { details: details.join(' · ') });
   }
 
   // Reset form
@@ -405,18 +1554,21 @@ class TeqpodApp {
     
     // Remove focused states
     form.querySelectorAll('.form-group.focused').forEach(group => {
-      domManager.removeClass(group, 'focused');
+      this.domManager.removeClass(group, 'focused');
     });
     
     // Clear errors
     form.querySelectorAll('.form-group.error').forEach(group => {
-      domManager.removeClass(group, 'error');
+      this.domManager.removeClass(group, 'error');
+    });
+    form.querySelectorAll('[aria-invalid]').forEach(field => {
+      field.removeAttribute('aria-invalid');
     });
   }
 
   // Handle resize events
   handleResize() {
-    const viewport = domManager.getViewport();
+    const viewport = this.domManager.getViewport();
     
     // Close mobile menu on desktop
     if (viewport.width > 768) {
@@ -433,10 +1585,10 @@ class TeqpodApp {
       this.closeMobileMenu();
     }
     
-    // Ctrl/Cmd + K for quick navigation (future feature)
-    if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+    // Ctrl/Cmd + K toggles quick navigation
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
       e.preventDefault();
-      console.log('🔍 Quick navigation (coming soon)');
+      this.commandPalette.toggle();
     }
   }
 
@@ -445,7 +1597,7 @@ class TeqpodApp {
     if (!this.elements.loadingScreen) return;
     
     // Fade out loading screen
-    await animationSystem.fadeOut(this.elements.loadingScreen, 500);
+    await this.animationSystem.fadeOut(this.elements.loadingScreen, 500);
     this.elements.loadingScreen.style.display = 'none';
   }
 
@@ -458,21 +1610,16 @@ class TeqpodApp {
       this.elements.loadingScreen.style.display = 'none';
     }
     
-    // Show error modal
-    const errorModal = componentSystem.createModal('Error', `
-      <p>${message}</p>
-      <div style="margin-top: 1rem; text-align: center;">
-        <button onclick="location.reload()" style="
-          background: var(--color-primary);
-          color: white;
-          border: none;
-          padding: 0.75rem 1.5rem;
-          border-radius: 8px;
-          cursor: pointer;
-          font-weight: 600;
-        ">Refresh Page</button>
-      </div>
-    `);
+    // Show error dialog; the only way out is a reload
+    const errorModal = this.componentSystem.createModal(this.i18n.t('errors.title'), message, {
+      size: 'sm',
+      dismissible: false,
+      actions: [
+        { label: this.i18n.t('errors.refresh'), value: 'refresh', variant: 'primary', autofocus: true }
+      ]
+    });
+
+    errorModal.result.then(() => this.window.location.reload());
   }
 
   // Get application status
@@ -481,27 +1628,58 @@ class TeqpodApp {
       initialized: this.isInitialized,
       currentSection: this.currentSection,
       hasData: !!this.siteData,
-      viewport: domManager.getViewport()
+      invalidSections: this.dataReport ? [...this.dataReport.invalidSections] : [],
+      viewport: this.domManager.getViewport()
     };
   }
 
   // Cleanup application
   destroy() {
     console.log('🧹 Cleaning up application...');
+
+    this.callHook('onDestroy');
     
     // Cleanup animation system
-    if (window.animationSystem) {
-      animationSystem.cleanup();
-    }
+    this.animationSystem.cleanup();
+    
+    // Remove the terminal prompt
+    this.heroTerminal.destroy();
     
     // Cleanup DOM manager
-    if (window.domManager) {
-      domManager.cleanup();
+    this.domManager.cleanup();
+    
+    // Stop following the OS colour scheme
+    this.themeManager.cleanup();
+    
+    // Stop reflecting the motion preference and following the OS setting
+    if (this.unsubscribeMotion) this.unsubscribeMotion();
+    this.motionPreference.cleanup();
+    
+    // Stop re-rendering events on registration changes
+    if (this.unsubscribeRegistration) this.unsubscribeRegistration();
+    
+    // Stop the event countdowns
+    if (this.unsubscribeCountdown) this.unsubscribeCountdown();
+    this.countdown.destroy();
+    
+    // Stop routing
+    this.hashRouter.stop();
+    
+    // Stop checking for content updates
+    clearInterval(this.refreshTimer);
+    this.offlineSupport.cleanup();
+    if (this.handleRefreshTrigger) {
+      this.document.removeEventListener('visibilitychange', this.handleRefreshTrigger);
+      this.window.removeEventListener('focus', this.handleRefreshTrigger);
     }
     
+    // Send any queued analytics events
+    this.analytics.cleanup();
+    
     // Reset state
     this.isInitialized = false;
     this.siteData = null;
+    this.dataReport = null;
     this.elements = {};
     
     console.log('✅ Cleanup complete');
@@ -509,16 +1687,20 @@ class TeqpodApp {
 }
 
 // Application lifecycle management
-class AppLifecycle {
-  constructor() {
-    this.app = null;
-    this.init();
+export class AppLifecycle {
+  constructor({ window, app, animationSystem, countdown }) {
+    this.window = window;
+    this.document = window.document;
+    this.app = app;
+    this.animationSystem = animationSystem;
+    this.countdown = countdown;
   }
 
   init() {
-    // Initialize when DOM is ready
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => {
+    // Initialize when DOM is ready; modules run once parsing is done, so this usually
+    // starts at once and plugins registered later catch up through app.use()
+    if (this.document.readyState === 'loading') {
+      this.document.addEventListener('DOMContentLoaded', () => {
         this.startApp();
       });
     } else {
@@ -534,7 +1716,7 @@ class AppLifecycle {
 
   startApp() {
     try {
-      this.app = new TeqpodApp();
+      this.app.init();
       console.log('🎉 Teqpod Labs application started');
     } catch (error) {
       console.error('Failed to start application:', error);
@@ -542,23 +1724,21 @@ class AppLifecycle {
   }
 
   setupVisibilityHandlers() {
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) {
+    this.document.addEventListener('visibilitychange', () => {
+      if (this.document.hidden) {
         console.log('👋 Page hidden - pausing animations');
-        if (window.animationSystem) {
-          animationSystem.pauseAnimations();
-        }
+        this.animationSystem.pauseAnimations();
+        this.countdown.pause();
       } else {
         console.log('🔥 Page visible - resuming animations');
-        if (window.animationSystem) {
-          animationSystem.resumeAnimations();
-        }
+        this.animationSystem.resumeAnimations();
+        this.countdown.resume();
       }
     });
   }
 
   setupUnloadHandlers() {
-    window.addEventListener('beforeunload', () => {
+    this.window.addEventListener('beforeunload', () => {
       if (this.app && this.app.destroy) {
         this.app.destroy();
       }
@@ -569,24 +1749,3 @@ class AppLifecycle {
     return this.app;
   }
 }
-
-// Initialize application lifecycle
-const appLifecycle = new AppLifecycle();
-
-// Make app available globally for debugging
-window.teqpodApp = appLifecycle.getApp();
-
-// Export for module use
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { TeqpodApp, AppLifecycle };
-}
-
-// Final console message
-console.info(`
-╔════════════════════════════════════════╗
-       🚀 TEQPOD LABS LOADED             
-                                        
-                                        
-       Ready for Innovation! 🌟           
-╚════════════════════════════════════════╝
-`);
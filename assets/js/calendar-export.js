@@ -0,0 +1,146 @@
+/**
+ * Calendar Export - RFC 5545 iCalendar (.ics) generation in the browser
+ * Builds VEVENTs from siteData events and triggers a download
+ */
+
+export class CalendarExport {
+  constructor({ window, domManager, componentSystem, eventSchedule }) {
+    this.window = window;
+    this.document = window.document;
+    this.domManager = domManager;
+    // Event slugs match the ones used for deep links
+    this.componentSystem = componentSystem;
+    this.eventSchedule = eventSchedule;
+    this.productId = '-//Teqpod Labs//Events//EN';
+    this.uidDomain = 'teqpod.com';
+    this.encoder = new TextEncoder();
+  }
+
+  // Build a VCALENDAR document for one or more events
+  createCalendar(events, name = 'Teqpod Labs Events') {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.productId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      ...events.flatMap(event => this.createEvent(event)),
+      'END:VCALENDAR'
+    ];
+
+    // RFC 5545 requires CRLF line breaks, including after the last line
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // Build the lines of a single VEVENT
+  createEvent(event) {
+    const slug = this.componentSystem.getEventSlug(event);
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${slug}-${event.date}@${this.uidDomain}`,
+      `DTSTAMP:${this.formatUTC(new Date())}`
+    ];
+
+    if (this.eventSchedule.isAllDay(event)) {
+      lines.push(`DTSTART;VALUE=DATE:${this.formatDate(event.date)}`);
+      lines.push(`DTEND;VALUE=DATE:${this.formatDate(this.nextDay(event.endDate || event.date))}`);
+    } else {
+      lines.push(`DTSTART:${this.formatUTC(this.eventSchedule.getStart(event))}`);
+      lines.push(`DTEND:${this.formatUTC(this.eventSchedule.getEnd(event))}`);
+    }
+
+    lines.push(`SUMMARY:${this.escapeText(event.title)}`);
+    lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+    lines.push(`CATEGORIES:${this.escapeText(event.type)}`);
+
+    if (event.location) {
+      lines.push(`LOCATION:${this.escapeText(event.location)}`);
+    }
+
+    lines.push(`URL:${this.getEventURL(slug)}`);
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  // Deep link back to the event on the site
+  getEventURL(slug) {
+    const { origin, pathname } = this.window.location;
+    return `${origin}${pathname}#/events/${slug}`;
+  }
+
+  // Escape TEXT values (RFC 5545 §3.3.11)
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold lines longer than 75 octets without splitting UTF-8 sequences (§3.1)
+  foldLine(line) {
+    if (this.encoder.encode(line).length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    let limit = 75;
+
+    for (const char of line) {
+      const size = this.encoder.encode(char).length;
+      if (currentBytes + size > limit) {
+        parts.push(current);
+        current = '';
+        currentBytes = 0;
+        // Continuation lines start with a space, which counts towards the limit
+        limit = 74;
+      }
+      current += char;
+      currentBytes += size;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  // Date-time in UTC form: 20250110T043000Z
+  formatUTC(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // DATE value form: 20250110
+  formatDate(date) {
+    return date.replace(/-/g, '');
+  }
+
+  // Calendar date after 'YYYY-MM-DD' (DTEND is exclusive for all-day events)
+  nextDay(date) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().slice(0, 10);
+  }
+
+  // Offer the calendar as a file download
+  download(content, filename) {
+    const blob = new this.window.Blob([content], { type: 'text/calendar;charset=utf-8' });
+    const url = this.window.URL.createObjectURL(blob);
+    const link = this.domManager.createElement('a', '', { href: url, download: filename });
+
+    this.document.body.appendChild(link);
+    link.click();
+    this.domManager.removeElement(link);
+    setTimeout(() => this.window.URL.revokeObjectURL(url), 1000);
+  }
+
+  // Download a single event
+  downloadEvent(event) {
+    const slug = this.componentSystem.getEventSlug(event);
+    this.download(this.createCalendar([event], event.title), `${slug}.ics`);
+  }
+
+  // Download several events as one calendar
+  downloadEvents(events, filename = 'teqpod-events.ics') {
+    this.download(this.createCalendar(events), filename);
+  }
+}
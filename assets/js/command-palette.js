@@ -0,0 +1,330 @@
+/**
+ * Command Palette - Keyboard-driven quick navigation (Ctrl/Cmd + K)
+ * Fuzzy search over sections, content and actions with recently-used ordering
+ */
+
+export class CommandPalette {
+  constructor({ window, domManager, i18n }) {
+    this.window = window;
+    this.document = window.document;
+    this.domManager = domManager;
+    this.i18n = i18n;
+    this.commands = [];
+    this.results = [];
+    this.activeIndex = 0;
+    this.isOpen = false;
+    this.elements = null;
+    this.returnFocus = null;
+    this.storageKey = 'teqpod:palette-recent';
+    this.maxRecent = 5;
+    this.recent = this.loadRecent();
+  }
+
+  // Replace the list of available commands
+  setCommands(commands) {
+    this.commands = commands;
+    if (this.isOpen) this.update();
+  }
+
+  // Build overlay markup on first use
+  build() {
+    const overlay = this.domManager.createElement('div', 'palette-overlay');
+    const dialog = this.domManager.createElement('div', 'palette', {
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': this.i18n.t('palette.label')
+    });
+    const search = this.domManager.createElement('div', 'palette-search');
+    const icon = this.domManager.createElement('span', 'palette-search-icon', { 'aria-hidden': 'true' });
+    const input = this.domManager.createElement('input', 'palette-input', {
+      type: 'text',
+      role: 'combobox',
+      'aria-expanded': 'true',
+      'aria-controls': 'palette-list',
+      'aria-autocomplete': 'list',
+      autocomplete: 'off',
+      spellcheck: 'false',
+      placeholder: this.i18n.t('palette.placeholder')
+    });
+    const hint = this.domManager.createElement('kbd', 'palette-kbd');
+    const list = this.domManager.createElement('ul', 'palette-list', {
+      id: 'palette-list',
+      role: 'listbox',
+      'aria-label': this.i18n.t('palette.results')
+    });
+    const empty = this.domManager.createElement('div', 'palette-empty');
+
+    icon.appendChild(this.domManager.createTextNode('🔍'));
+    hint.appendChild(this.domManager.createTextNode('Esc'));
+    empty.appendChild(this.domManager.createTextNode(this.i18n.t('palette.empty')));
+
+    this.domManager.appendChildren(search, icon, input, hint);
+    this.domManager.appendChildren(dialog, search, list, empty);
+    overlay.appendChild(dialog);
+    overlay.hidden = true;
+
+    input.addEventListener('input', () => {
+      this.activeIndex = 0;
+      this.update();
+    });
+    input.addEventListener('keydown', (e) => this.handleKeydown(e));
+    overlay.addEventListener('mousedown', (e) => {
+      if (e.target === overlay) this.close();
+    });
+    list.addEventListener('click', (e) => {
+      const option = e.target.closest('.palette-item');
+      if (option) this.execute(Number(option.dataset.index));
+    });
+    list.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('.palette-item');
+      if (option && Number(option.dataset.index) !== this.activeIndex) {
+        this.setActive(Number(option.dataset.index), false);
+      }
+    });
+
+    this.document.body.appendChild(overlay);
+    this.elements = { overlay, input, list, empty };
+  }
+
+  // Open the palette and focus the search field
+  open() {
+    if (this.isOpen) return;
+    if (!this.elements) this.build();
+
+    this.returnFocus = this.document.activeElement;
+    this.isOpen = true;
+    this.activeIndex = 0;
+    this.elements.input.value = '';
+    this.elements.overlay.hidden = false;
+    this.domManager.addClass(this.elements.overlay, 'active');
+    this.update();
+    this.elements.input.focus();
+  }
+
+  // Close the palette and restore focus
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.domManager.removeClass(this.elements.overlay, 'active');
+    this.elements.overlay.hidden = true;
+
+    if (this.returnFocus && this.returnFocus.focus) {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  // Drop the built markup so it is rebuilt (e.g. in a new language) on next open
+  reset() {
+    this.close();
+
+    if (this.elements) {
+      this.domManager.removeElement(this.elements.overlay);
+      this.elements = null;
+    }
+  }
+
+  // Toggle open/closed
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  // Keyboard navigation inside the search field
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.setActive((this.activeIndex + 1) % Math.max(this.results.length, 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.setActive((this.activeIndex - 1 + this.results.length) % Math.max(this.results.length, 1));
+        break;
+      case 'Home':
+        e.preventDefault();
+        this.setActive(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        this.setActive(this.results.length - 1);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        this.execute(this.activeIndex);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+        break;
+      case 'Tab':
+        // Focus stays in the search field while the palette is open
+        e.preventDefault();
+        break;
+    }
+  }
+
+  // Filter, rank and render results for the current query
+  update() {
+    this.results = this.filter(this.elements.input.value);
+    this.activeIndex = Math.min(this.activeIndex, Math.max(this.results.length - 1, 0));
+    this.renderResults();
+  }
+
+  // Rank commands by fuzzy score, breaking ties with recent usage
+  filter(query) {
+    const needle = query.trim().toLowerCase();
+    const recentRank = (command) => {
+      const index = this.recent.indexOf(command.id);
+      return index === -1 ? Infinity : index;
+    };
+
+    if (!needle) {
+      return [...this.commands].sort((a, b) => recentRank(a) - recentRank(b));
+    }
+
+    return this.commands
+      .map(command => ({ command, score: this.scoreCommand(needle, command) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || recentRank(a.command) - recentRank(b.command))
+      .map(entry => entry.command);
+  }
+
+  // Best score across a command's title, group and keywords
+  scoreCommand(needle, command) {
+    const titleScore = this.fuzzyScore(needle, command.title.toLowerCase());
+    const extra = [command.group, ...(command.keywords || [])]
+      .map(text => this.fuzzyScore(needle, String(text).toLowerCase()) * 0.5);
+
+    return Math.max(titleScore, ...extra);
+  }
+
+  // Subsequence match scored for consecutive runs and word starts; 0 means no match
+  fuzzyScore(needle, haystack) {
+    let score = 0;
+    let streak = 0;
+    let position = 0;
+
+    for (const char of needle) {
+      const found = haystack.indexOf(char, position);
+      if (found === -1) return 0;
+
+      streak = found === position ? streak + 1 : 1;
+      score += 1 + streak;
+
+      if (found === 0 || /[\s\-&/]/.test(haystack[found - 1])) {
+        score += 3;
+      }
+
+      position = found + 1;
+    }
+
+    // Prefer tighter matches in shorter strings
+    return score + needle.length / haystack.length;
+  }
+
+  // Render the result list
+  renderResults() {
+    const { list, empty, input } = this.elements;
+    const fragment = this.document.createDocumentFragment();
+
+    this.results.forEach((command, index) => {
+      const option = this.domManager.createElement('li', 'palette-item', {
+        id: `palette-option-${index}`,
+        role: 'option',
+        'aria-selected': String(index === this.activeIndex)
+      });
+      const icon = this.domManager.createElement('span', 'palette-item-icon', { 'aria-hidden': 'true' });
+      const title = this.domManager.createElement('span', 'palette-item-title');
+      const group = this.domManager.createElement('span', 'palette-item-group');
+
+      icon.appendChild(this.domManager.createTextNode(command.icon || '→'));
+      title.appendChild(this.domManager.createTextNode(command.title));
+      group.appendChild(this.domManager.createTextNode(
+        this.recent.includes(command.id) && !input.value.trim() ? this.i18n.t('palette.recent') : command.group
+      ));
+
+      option.dataset.index = index;
+      this.domManager.appendChildren(option, icon, title, group);
+      fragment.appendChild(option);
+    });
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+    list.appendChild(fragment);
+
+    empty.hidden = this.results.length > 0;
+    this.setActive(this.activeIndex, false);
+  }
+
+  // Move the active option
+  setActive(index, scroll = true) {
+    const { list, input } = this.elements;
+    const options = list.children;
+
+    if (!options.length) {
+      input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.activeIndex = Math.max(0, Math.min(index, options.length - 1));
+
+    Array.from(options).forEach((option, i) => {
+      const isActive = i === this.activeIndex;
+      option.setAttribute('aria-selected', String(isActive));
+      if (isActive) {
+        this.domManager.addClass(option, 'active');
+      } else {
+        this.domManager.removeClass(option, 'active');
+      }
+    });
+
+    const activeOption = options[this.activeIndex];
+    input.setAttribute('aria-activedescendant', activeOption.id);
+    if (scroll) {
+      activeOption.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  // Run a command and remember it
+  execute(index) {
+    const command = this.results[index];
+    if (!command) return;
+
+    this.remember(command.id);
+    this.close();
+
+    try {
+      command.run();
+    } catch (error) {
+      console.error(`❌ Command "${command.title}" failed:`, error);
+    }
+  }
+
+  // Move a command to the front of the recent list
+  remember(id) {
+    this.recent = [id, ...this.recent.filter(recentId => recentId !== id)].slice(0, this.maxRecent);
+
+    try {
+      this.window.localStorage.setItem(this.storageKey, JSON.stringify(this.recent));
+    } catch (error) {
+      // Storage can be unavailable (private mode); ordering just won't persist
+    }
+  }
+
+  // Read recent command ids from storage
+  loadRecent() {
+    try {
+      const stored = JSON.parse(this.window.localStorage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  }
+}
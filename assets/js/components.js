@@ -3,136 +3,301 @@
  * Uses DOM APIs and cloneNode for efficiency
  */
 
-class ComponentSystem {
-  constructor() {
+export class ComponentSystem {
+  constructor({ window, domManager, animationSystem, timeline, i18n, eventSchedule, notificationCenter, registration, countdown }) {
+    this.window = window;
+    this.document = window.document;
+    this.domManager = domManager;
+    this.animationSystem = animationSystem;
+    this.timeline = timeline;
+    this.i18n = i18n;
+    this.eventSchedule = eventSchedule;
+    this.notificationCenter = notificationCenter;
+    // Absent when rendering at build time; events then show no sign-up state or timers
+    this.registration = registration;
+    this.countdown = countdown;
     this.templates = new Map();
-    this.createTemplates();
+    this.views = new Map();
+    this.mounted = new WeakSet();
+    this.modalStack = [];
+    this.modalCount = 0;
+    this.modalBaseZ = 2000;
+    this.registerTemplates();
+    this.defineViews();
   }
 
-  // Create reusable templates
-  createTemplates() {
-    // Feature Card Template
-    const featureCard = domManager.createElement('div', 'feature-card reveal');
-    const featureIcon = domManager.createElement('div', 'feature-icon');
-    const featureTitle = domManager.createElement('h3', 'feature-title');
-    const featureDesc = domManager.createElement('p', 'feature-description');
-    
-    domManager.appendChildren(featureCard, featureIcon, featureTitle, featureDesc);
-    this.templates.set('feature-card', featureCard);
+  // Register every <template data-template="name"> in the page
+  registerTemplates(root = this.document) {
+    this.domManager.querySelectorAll('template[data-template]', root).forEach(template => {
+      this.registerTemplate(template.dataset.template, template.content.firstElementChild);
+    });
+  }
 
-    // Stat Card Template
-    const statCard = domManager.createElement('div', 'stat-card reveal');
-    const statNumber = domManager.createElement('div', 'stat-number');
-    const statLabel = domManager.createElement('div', 'stat-label');
-    
-    domManager.appendChildren(statCard, statNumber, statLabel);
-    this.templates.set('stat-card', statCard);
-
-    // Event Item Template
-    const eventItem = domManager.createElement('div', 'event-item reveal');
-    const eventContent = domManager.createElement('div', 'event-content');
-    const eventCard = domManager.createElement('div', 'event-card');
-    const eventType = domManager.createElement('div', 'event-type');
-    const eventTitle = domManager.createElement('h3', 'event-title');
-    const eventDesc = domManager.createElement('p', 'event-description');
-    const eventDate = domManager.createElement('div', 'event-date');
-    const eventDay = domManager.createElement('div', 'event-day');
-    const eventMonth = domManager.createElement('div', 'event-month');
-    
-    domManager.appendChildren(eventCard, eventType, eventTitle, eventDesc);
-    domManager.appendChildren(eventContent, eventCard);
-    domManager.appendChildren(eventDate, eventDay, eventMonth);
-    domManager.appendChildren(eventItem, eventContent, eventDate);
-    this.templates.set('event-item', eventItem);
-
-    // Contact Item Template
-    const contactItem = domManager.createElement('div', 'contact-item reveal');
-    const contactIcon = domManager.createElement('div', 'contact-icon');
-    const contactDetails = domManager.createElement('div', 'contact-details');
-    const contactTitle = domManager.createElement('h4');
-    const contactValue = domManager.createElement('div', 'contact-value');
-    const contactDesc = domManager.createElement('div', 'contact-description');
-    
-    domManager.appendChildren(contactDetails, contactTitle, contactValue, contactDesc);
-    domManager.appendChildren(contactItem, contactIcon, contactDetails);
-    this.templates.set('contact-item', contactItem);
-
-    // Footer Section Template
-    const footerSection = domManager.createElement('div', 'footer-section');
-    const footerTitle = domManager.createElement('h3');
-    const footerNav = domManager.createElement('div', 'footer-nav');
-    
-    domManager.appendChildren(footerSection, footerTitle, footerNav);
-    this.templates.set('footer-section', footerSection);
+  // Register a template root element under a name
+  registerTemplate(name, element) {
+    if (!element) {
+      console.warn(`🧩 Template "${name}" is empty`);
+      return;
+    }
+    this.templates.set(name, element);
   }
 
-  // Render features section
-  renderFeatures(features, container) {
-    if (!container || !features) return;
+  // Describe how an item is turned into bindable data and wired up after cloning
+  // prepare(item, index) returns the object data-bind paths read from
+  // mount(element, data, index) runs once the element is populated
+  // key(item, index) identifies the item across re-renders
+  defineView(name, { prepare = null, mount = null, key = null } = {}) {
+    this.views.set(name, { prepare, mount, key });
+  }
 
-    const fragment = document.createDocumentFragment();
-    
-    features.forEach((feature, index) => {
-      const card = domManager.cloneNode(this.templates.get('feature-card'));
-      
-      // Populate content using DOM methods
-      const icon = card.querySelector('.feature-icon');
-      const title = card.querySelector('.feature-title');
-      const description = card.querySelector('.feature-description');
-      
-      icon.appendChild(domManager.createTextNode(feature.icon));
-      title.appendChild(domManager.createTextNode(feature.title));
-      description.appendChild(domManager.createTextNode(feature.description));
-      
-      // Add stagger animation data
-      card.dataset.stagger = index;
-      
-      fragment.appendChild(card);
+  // Derived fields for templates whose markup can't read raw siteData directly
+  defineViews() {
+    this.defineView('stat-card', {
+      prepare: (stat) => ({
+        ...stat,
+        suffix: stat.suffix || '',
+        // Final value, so pre-rendered and no-JS pages show real figures
+        display: this.formatStat(stat)
+      }),
+      mount: (card, stat, index) => {
+        const numberEl = card.querySelector('.stat-number');
+
+        // Setup counter animation when element comes into view, staggered on the shared
+        // timeline so it is cancelled with the rest of the page animations
+        this.timeline.delay(index * 200, () => {
+          this.setupCounterAnimation(numberEl, stat);
+        });
+      }
+    });
+
+    this.defineView('event-item', {
+      key: (event) => this.getEventSlug(event),
+      prepare: (event) => {
+        // Parse date in local time so the badge matches the event's calendar day
+        const date = this.eventSchedule.getStart(event);
+        // Stable slug for deep links (#/events/<slug>)
+        const slug = this.getEventSlug(event);
+        const registration = this.describeRegistration(event, slug);
+
+        return {
+          ...event,
+          slug,
+          elementId: `event-${slug}`,
+          day: this.i18n.formatDate(date, { day: '2-digit' }),
+          month: this.i18n.formatDate(date, { month: 'short' }).toLocaleUpperCase(this.i18n.locale),
+          label: this.i18n.t('events.viewDetails', { title: event.title }),
+          registrationState: registration.state,
+          registerLabel: registration.action,
+          registerAriaLabel: registration.action && this.i18n.t('registration.registerFor', { title: event.title }),
+          registrationStatus: registration.text
+        };
+      },
+      mount: (item, event) => {
+        // Past events sit in the archive without a timer
+        if (this.countdown && this.eventSchedule.isUpcoming(event)) {
+          this.countdown.watch(item.querySelector('.event-countdown'), event);
+        }
+      }
     });
-    
-    container.appendChild(fragment);
   }
 
-  // Render statistics section
-  renderStats(stats, container) {
-    if (!container || !stats) return;
+  // Render a list of items with a registered template
+  // Items are keyed, so re-rendering only rebuilds entries whose data changed;
+  // untouched elements keep their reveal state, running counters and focus.
+  // Markup pre-rendered by scripts/prerender.js is adopted the same way (hydration).
+  // Pass { mount: false } to skip client-side wiring when rendering at build time.
+  renderCollection(name, items, container, { mount: shouldMount = true } = {}) {
+    if (!container || !items) return;
 
-    const fragment = document.createDocumentFragment();
-    
-    stats.forEach((stat, index) => {
-      const card = domManager.cloneNode(this.templates.get('stat-card'));
-      
-      const numberEl = card.querySelector('.stat-number');
-      const labelEl = card.querySelector('.stat-label');
-      
-      // Store target for animation
-      numberEl.dataset.target = stat.number;
-      numberEl.dataset.suffix = stat.suffix || '';
-      numberEl.appendChild(domManager.createTextNode('0' + (stat.suffix || '')));
-      
-      labelEl.appendChild(domManager.createTextNode(stat.label));
-      
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new Error(`Unknown template "${name}"`);
+    }
+
+    const { prepare, mount, key } = this.views.get(name) || {};
+    const getKey = key || ((item, index) => this.getItemKey(item, index));
+    const existing = new Map();
+
+    Array.from(container.children).forEach(child => {
+      if (child.dataset.key !== undefined) existing.set(child.dataset.key, child);
+    });
+
+    const seen = new Set();
+    const elements = items.map((item, index) => {
+      const data = prepare ? prepare(item, index) : item;
+      const hash = this.hash(`${name}:${JSON.stringify(data)}`);
+      let itemKey = String(getKey(item, index));
+
+      // Duplicate keys would make two items fight over one element
+      if (seen.has(itemKey)) itemKey = `${itemKey}~${index}`;
+      seen.add(itemKey);
+
+      const current = existing.get(itemKey);
+      if (current && current.dataset.hash === hash) {
+        current.dataset.stagger = index;
+        return { element: current, data, index };
+      }
+
+      const element = this.domManager.cloneNode(template);
+      this.bind(element, data);
+
+      element.dataset.key = itemKey;
+      element.dataset.hash = hash;
       // Add stagger animation data
-      card.dataset.stagger = index;
-      
-      // Setup counter animation when element comes into view
-      setTimeout(() => {
-        this.setupCounterAnimation(numberEl, stat.number + (stat.suffix || ''));
-      }, index * 200);
-      
-      fragment.appendChild(card);
+      element.dataset.stagger = index;
+
+      return { element, data, index };
     });
-    
-    container.appendChild(fragment);
+
+    // Drop stale items along with any empty state or fallback
+    const keep = new Set(elements.map(entry => entry.element));
+    Array.from(container.children).forEach(child => {
+      if (!keep.has(child)) this.domManager.removeElement(child);
+    });
+
+    // Insert new elements and reorder, leaving ones already in place alone
+    elements.forEach(({ element }, index) => {
+      const current = container.children[index];
+      if (current !== element) {
+        container.insertBefore(element, current || null);
+      }
+    });
+
+    if (!shouldMount) return;
+
+    // Wire up each element once, whether freshly cloned or adopted from pre-rendered markup
+    elements.forEach(({ element, data, index }) => {
+      if (this.mounted.has(element)) return;
+
+      this.mounted.add(element);
+      if (mount) mount(element, data, index);
+      this.animationSystem.observeReveal(element);
+    });
+  }
+
+  // Short, stable hash of rendered data (FNV-1a) used to spot changed items
+  hash(text) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(36);
+  }
+
+  // Default key: a stable identifier from the item, falling back to its position
+  getItemKey(item, index) {
+    if (item && typeof item === 'object') {
+      return item.slug || item.id || item.title || item.label || index;
+    }
+    return item;
+  }
+
+  // Fill data-bind, data-bind-attr and data-each slots from a data object
+  //   data-bind="title"                   text content ("." binds the item itself)
+  //   data-bind-attr="href:url;id:slug"   attributes, same syntax as data-i18n-attr
+  //   data-each="links"                   repeats the element's first child per entry
+  //   data-optional                       removes the element when its value is empty
+  bind(root, data) {
+    const select = (selector) => [
+      ...(root.matches(selector) ? [root] : []),
+      ...this.domManager.querySelectorAll(selector, root)
+    ];
+
+    // Detach list item templates first so field bindings below only see this level
+    const lists = select('[data-each]').map(list => {
+      const itemTemplate = list.firstElementChild;
+      this.clearContainer(list);
+      return { list, itemTemplate };
+    });
+
+    select('[data-bind]').forEach(element => {
+      const value = this.resolve(data, element.dataset.bind);
+
+      if (this.isEmpty(value)) {
+        if (element.hasAttribute('data-optional')) {
+          this.domManager.removeElement(element);
+        }
+        return;
+      }
+
+      element.appendChild(this.domManager.createTextNode(value));
+    });
+
+    select('[data-bind-attr]').forEach(element => {
+      element.dataset.bindAttr.split(';').forEach(pair => {
+        const [attribute, path] = pair.split(':').map(part => part.trim());
+        if (!attribute || !path) return;
+
+        const value = this.resolve(data, path);
+        if (value === undefined || value === null) {
+          element.removeAttribute(attribute);
+        } else {
+          element.setAttribute(attribute, value);
+        }
+      });
+    });
+
+    lists.forEach(({ list, itemTemplate }) => {
+      const entries = this.resolve(data, list.dataset.each);
+
+      if (!Array.isArray(entries) || !entries.length) {
+        if (list.hasAttribute('data-optional')) {
+          this.domManager.removeElement(list);
+        }
+        return;
+      }
+
+      if (!itemTemplate) return;
+
+      entries.forEach(entry => {
+        const item = this.domManager.cloneNode(itemTemplate);
+        this.bind(item, entry);
+        list.appendChild(item);
+      });
+    });
+  }
+
+  // Read a dotted path from a data object
+  resolve(data, path) {
+    if (path === '.') return data;
+    return path.split('.').reduce((node, part) => (node == null ? undefined : node[part]), data);
+  }
+
+  // Whether a bound value counts as missing
+  isEmpty(value) {
+    return value === undefined || value === null || value === '';
+  }
+
+  // Format a stat value with its prefix, suffix and precision
+  // decimals defaults to the places written in stat.number; notation 'compact' gives "1.2K"
+  formatStat(stat, value = Number(stat.number)) {
+    const written = (String(stat.number).split('.')[1] || '').length;
+    const options = stat.notation === 'compact' ? { notation: 'compact' } : {};
+
+    if (stat.decimals !== undefined || stat.notation !== 'compact') {
+      // Intl only accepts 0-20 fraction digits
+      const decimals = Math.min(Math.max(Math.round(stat.decimals ?? written), 0), 20);
+      options.maximumFractionDigits = decimals;
+      if (stat.notation !== 'compact') options.minimumFractionDigits = decimals;
+    }
+
+    return `${stat.prefix || ''}${this.i18n.formatNumber(value, options)}${stat.suffix || ''}`;
   }
 
   // Setup counter animation
-  setupCounterAnimation(element, target) {
-    const observer = domManager.createIntersectionObserver(
+  setupCounterAnimation(element, stat) {
+    const observer = this.domManager.createIntersectionObserver(
       (entries) => {
         entries.forEach(entry => {
           if (entry.isIntersecting) {
-            animationSystem.animateCounter(element, target);
+            this.animationSystem.animateCounter(element, Number(stat.number), {
+              start: stat.start,
+              easing: stat.easing,
+              format: (value) => this.formatStat(stat, value)
+            });
             observer.unobserve(element);
           }
         });
@@ -143,183 +308,236 @@ class ComponentSystem {
     observer.observe(element);
   }
 
-  // Render events section
-  renderEvents(events, container) {
-    if (!container || !events) return;
+  // Get the slug used to address an event
+  getEventSlug(event) {
+    return event.slug || this.domManager.slugify(event.title);
+  }
 
-    const fragment = document.createDocumentFragment();
-    
-    events.forEach((event, index) => {
-      const item = domManager.cloneNode(this.templates.get('event-item'));
-      
-      const typeEl = item.querySelector('.event-type');
-      const titleEl = item.querySelector('.event-title');
-      const descEl = item.querySelector('.event-description');
-      const dayEl = item.querySelector('.event-day');
-      const monthEl = item.querySelector('.event-month');
-      
-      // Parse date
-      const date = new Date(event.date);
-      const day = date.getDate().toString().padStart(2, '0');
-      const month = date.toLocaleDateString('en', { month: 'short' }).toUpperCase();
-      
-      // Populate content
-      typeEl.appendChild(domManager.createTextNode(event.type));
-      titleEl.appendChild(domManager.createTextNode(event.title));
-      descEl.appendChild(domManager.createTextNode(event.description));
-      dayEl.appendChild(domManager.createTextNode(day));
-      monthEl.appendChild(domManager.createTextNode(month));
-      
-      // Add stagger animation data
-      item.dataset.stagger = index;
-      
-      fragment.appendChild(item);
+  // Sign-up state of an upcoming event as display text
+  //   state    'open' | 'full' | 'closed', or null when there is nothing to show
+  //   action   Register button label, only while open
+  //   text     spots left or the closed/full notice
+  //   summary  one line with availability and closing date
+  describeRegistration(event, slug = this.getEventSlug(event)) {
+    const status = this.registration && this.eventSchedule.isUpcoming(event)
+      ? this.registration.getStatus(slug, event)
+      : null;
+
+    if (!status) {
+      return { state: null, action: '', text: '', summary: '' };
+    }
+
+    if (status.state !== 'open') {
+      const text = this.i18n.t(`registration.${status.state}`);
+      return { state: status.state, action: '', text, summary: text };
+    }
+
+    const spots = status.spotsLeft === null
+      ? ''
+      : this.i18n.t(status.spotsLeft === 1 ? 'registration.spotLeft' : 'registration.spotsLeft', {
+        count: this.i18n.formatNumber(status.spotsLeft)
+      });
+    const closes = this.i18n.t('registration.closes', {
+      date: this.i18n.formatDate(status.closesAt, { dateStyle: 'medium', timeStyle: 'short' })
     });
-    
-    container.appendChild(fragment);
+
+    return {
+      state: 'open',
+      action: this.i18n.t('registration.register'),
+      text: spots,
+      summary: `${spots || this.i18n.t('registration.open')} · ${closes}`
+    };
   }
 
-  // Render contact info section
-  renderContactInfo(contactData, container) {
-    if (!container || !contactData) return;
+  // Build event detail view content
+  createEventDetail(event) {
+    const detail = this.domManager.createElement('div', 'event-detail');
+    const header = this.domManager.createElement('div', 'event-detail-header');
+    const icon = this.domManager.createElement('div', 'event-detail-icon', { 'aria-hidden': 'true' });
+    const type = this.domManager.createElement('div', 'event-type');
+    const description = this.domManager.createElement('p', 'event-detail-description');
+    const meta = this.domManager.createElement('dl', 'event-detail-meta');
+    const actions = this.domManager.createElement('div', 'event-detail-actions');
+    const calendarBtn = this.domManager.createElement('button', 'event-detail-action', {
+      type: 'button',
+      'data-action': 'add-to-calendar'
+    });
 
-    const fragment = document.createDocumentFragment();
-    
-    contactData.forEach((contact, index) => {
-      const item = domManager.cloneNode(this.templates.get('contact-item'));
-      
-      const iconEl = item.querySelector('.contact-icon');
-      const titleEl = item.querySelector('h4');
-      const valueEl = item.querySelector('.contact-value');
-      const descEl = item.querySelector('.contact-description');
-      
-      // Populate content
-      iconEl.appendChild(domManager.createTextNode(contact.icon));
-      titleEl.appendChild(domManager.createTextNode(contact.title));
-      valueEl.appendChild(domManager.createTextNode(contact.value));
-      descEl.appendChild(domManager.createTextNode(contact.description));
-      
-      // Add stagger animation data
-      item.dataset.stagger = index;
-      
-      fragment.appendChild(item);
+    icon.appendChild(this.domManager.createTextNode(event.icon || '📅'));
+    type.appendChild(this.domManager.createTextNode(event.type));
+    description.appendChild(this.domManager.createTextNode(event.description));
+    calendarBtn.appendChild(this.domManager.createTextNode(this.i18n.t('events.addToCalendar')));
+
+    const rows = [
+      [this.i18n.t('events.date'), this.eventSchedule.formatFullDate(event, this.i18n.locale)],
+      [this.i18n.t('events.time'), this.eventSchedule.formatTimeRange(event, this.i18n.locale)],
+      [this.i18n.t('events.location'), event.location || this.i18n.t('events.toBeAnnounced')]
+    ];
+
+    const registration = this.describeRegistration(event);
+    if (registration.state) {
+      rows.push([this.i18n.t('registration.label'), registration.summary]);
+    }
+
+    rows.forEach(([label, value]) => {
+      const term = this.domManager.createElement('dt');
+      const definition = this.domManager.createElement('dd');
+      term.appendChild(this.domManager.createTextNode(label));
+      definition.appendChild(this.domManager.createTextNode(value));
+      this.domManager.appendChildren(meta, term, definition);
     });
-    
-    container.appendChild(fragment);
+
+    this.domManager.appendChildren(header, icon, type);
+
+    if (registration.state === 'open') {
+      const registerBtn = this.domManager.createElement('button', 'event-detail-action', {
+        type: 'button',
+        'data-action': 'register'
+      });
+      registerBtn.appendChild(this.domManager.createTextNode(registration.action));
+      actions.appendChild(registerBtn);
+    }
+
+    actions.appendChild(calendarBtn);
+    this.domManager.appendChildren(detail, header, description, meta, actions);
+
+    return detail;
   }
 
-  // Render footer links
-  renderFooterLinks(footerData, container) {
-    if (!container || !footerData) return;
+  // Build the sign-up form for an event: name and email, then the event's own fields
+  createRegistrationForm(event) {
+    const slug = this.getEventSlug(event);
+    const form = this.domManager.createElement('form', 'contact-form registration-form');
+    const summary = this.domManager.createElement('p', 'registration-summary');
+    const submitBtn = this.domManager.createElement('button', 'form-submit', { type: 'submit' });
+    const submitText = this.domManager.createElement('span', 'submit-text');
+    const submitArrow = this.domManager.createElement('div', 'submit-arrow');
 
-    const fragment = document.createDocumentFragment();
-    
-    footerData.forEach((section, index) => {
-      const sectionEl = domManager.cloneNode(this.templates.get('footer-section'));
-      
-      const titleEl = sectionEl.querySelector('h3');
-      const navEl = sectionEl.querySelector('.footer-nav');
-      
-      // Set section title
-      titleEl.appendChild(domManager.createTextNode(section.title));
-      
-      // Add links
-      section.links.forEach(link => {
-        const linkEl = domManager.createElement('a');
-        linkEl.href = link.url;
-        linkEl.appendChild(domManager.createTextNode(link.text));
-        navEl.appendChild(linkEl);
+    const fields = [
+      { name: 'name', label: this.i18n.t('contact.name'), required: true },
+      { name: 'email', label: this.i18n.t('contact.email'), type: 'email', required: true },
+      ...(event.registration.fields || [])
+    ];
+
+    summary.appendChild(this.domManager.createTextNode(this.describeRegistration(event, slug).summary));
+    form.appendChild(summary);
+
+    fields.forEach(field => {
+      form.appendChild(this.createFormField(field, `registration-${slug}-${field.name}`));
+    });
+
+    submitText.appendChild(this.domManager.createTextNode(this.i18n.t('registration.register')));
+    submitArrow.appendChild(this.domManager.createTextNode('→'));
+    this.domManager.appendChildren(submitBtn, submitText, submitArrow);
+    form.appendChild(submitBtn);
+
+    return form;
+  }
+
+  // Build a labelled form group like the contact form's: { name, label, type, required, options }
+  createFormField({ name, label, type = 'text', required = false, options = [] }, id) {
+    const group = this.domManager.createElement('div', 'form-group');
+    const labelEl = this.domManager.createElement('label', 'form-label', { for: id });
+    const line = this.domManager.createElement('div', 'form-line');
+    let input;
+
+    if (type === 'select') {
+      input = this.domManager.createElement('select', 'form-input', { id, name });
+
+      // Empty first choice so a required select needs an actual pick
+      [['', this.i18n.t('registration.choose')], ...options.map(option => [option, option])]
+        .forEach(([value, text]) => {
+          const optionEl = this.domManager.createElement('option', '', { value });
+          optionEl.appendChild(this.domManager.createTextNode(text));
+          input.appendChild(optionEl);
+        });
+    } else if (type === 'textarea') {
+      input = this.domManager.createElement('textarea', 'form-input form-textarea', { id, name, rows: '4' });
+    } else {
+      input = this.domManager.createElement('input', 'form-input', { type, id, name });
+    }
+
+    input.required = required;
+    labelEl.appendChild(this.domManager.createTextNode(label));
+    this.domManager.appendChildren(group, labelEl, input, line);
+
+    return group;
+  }
+
+  // Render event type filter chips
+  renderEventFilters(types, activeType, container) {
+    if (!container) return;
+
+    const fragment = this.document.createDocumentFragment();
+
+    ['all', ...types].forEach(type => {
+      const chip = this.domManager.createElement('button', 'event-filter', {
+        type: 'button',
+        'aria-pressed': String(type === activeType)
       });
-      
-      fragment.appendChild(sectionEl);
+      chip.dataset.type = type;
+      chip.appendChild(this.domManager.createTextNode(type === 'all' ? this.i18n.t('events.all') : type));
+
+      if (type === activeType) {
+        this.domManager.addClass(chip, 'active');
+      }
+
+      fragment.appendChild(chip);
     });
-    
+
     container.appendChild(fragment);
   }
 
-  // Create notification component
-  createNotification(message, type = 'info') {
-    const notification = domManager.createElement('div', `notification notification-${type}`);
-    
-    // Create content
-    const content = domManager.createElement('div', 'notification-content');
-    const text = domManager.createElement('span', 'notification-text');
-    const closeBtn = domManager.createElement('button', 'notification-close');
-    
-    text.appendChild(domManager.createTextNode(message));
-    closeBtn.appendChild(domManager.createTextNode('×'));
-    
-    domManager.appendChildren(content, text, closeBtn);
-    notification.appendChild(content);
-    
-    // Add styles
-    Object.assign(notification.style, {
-      position: 'fixed',
-      top: '20px',
-      right: '20px',
-      background: this.getNotificationBG(type),
-      color: 'white',
-      padding: '1rem 1.5rem',
-      borderRadius: '12px',
-      boxShadow: '0 10px 25px rgba(0,0,0,0.2)',
-      zIndex: '10000',
-      transform: 'translateX(400px)',
-      transition: 'transform 0.3s ease',
-      maxWidth: '400px',
-      display: 'flex',
-      alignItems: 'center',
-      gap: '1rem'
-    });
+  // Render an empty state message
+  renderEmptyState(container, message, icon = '🗓️') {
+    if (!container) return;
 
-    Object.assign(closeBtn.style, {
-      background: 'none',
-      border: 'none',
-      color: 'white',
-      fontSize: '1.2rem',
-      cursor: 'pointer',
-      padding: '0',
-      marginLeft: 'auto'
-    });
-    
-    // Add to DOM
-    document.body.appendChild(notification);
-    
-    // Animate in
-    requestAnimationFrame(() => {
-      notification.style.transform = 'translateX(0)';
-    });
-    
-    // Auto remove
-    const remove = () => {
-      notification.style.transform = 'translateX(400px)';
-      setTimeout(() => domManager.removeElement(notification), 300);
-    };
-    
-    closeBtn.addEventListener('click', remove);
-    setTimeout(remove, 5000);
-    
-    return notification;
+    const empty = this.domManager.createElement('div', 'empty-state', { role: 'status' });
+    const iconEl = this.domManager.createElement('span', 'empty-state-icon', { 'aria-hidden': 'true' });
+    const text = this.domManager.createElement('p', 'empty-state-text');
+
+    iconEl.appendChild(this.domManager.createTextNode(icon));
+    text.appendChild(this.domManager.createTextNode(message));
+
+    this.domManager.appendChildren(empty, iconEl, text);
+    container.appendChild(empty);
   }
 
-  // Get notification background color
-  getNotificationBG(type) {
-    const colors = {
-      success: 'linear-gradient(135deg, #10b981, #059669)',
-      error: 'linear-gradient(135deg, #ef4444, #dc2626)',
-      warning: 'linear-gradient(135deg, #f59e0b, #d97706)',
-      info: 'linear-gradient(135deg, #3b82f6, #1d4ed8)'
-    };
-    return colors[type] || colors.info;
+  // Render inline fallback for a section whose data could not be used
+  // Named by the given title, the built-in section name, or failing both the siteData key
+  renderFallback(container, sectionName, title = null) {
+    if (!container) return;
+
+    const key = `sections.${sectionName}`;
+    const section = title || (this.i18n.has(key) ? this.i18n.t(key) : sectionName);
+
+    const fallback = this.domManager.createElement('div', 'section-fallback', { role: 'status' });
+    const icon = this.domManager.createElement('span', 'section-fallback-icon', { 'aria-hidden': 'true' });
+    const text = this.domManager.createElement('p', 'section-fallback-text');
+
+    icon.appendChild(this.domManager.createTextNode('⚠️'));
+    text.appendChild(this.domManager.createTextNode(
+      this.i18n.t('fallback.section', { section })
+    ));
+
+    this.domManager.appendChildren(fallback, icon, text);
+    fallback.dataset.section = sectionName;
+    container.appendChild(fallback);
+  }
+
+  // Show a notification through the shared notification centre
+  createNotification(message, type = 'info', options = {}) {
+    return this.notificationCenter.show(message, { ...options, type });
   }
 
   // Create loading component
-  createLoadingSpinner(container, text = 'Loading...') {
-    const loader = domManager.createElement('div', 'loading-spinner');
-    const spinnerIcon = domManager.createElement('div', 'spinner-icon');
-    const loadingText = domManager.createElement('div', 'loading-text');
+  createLoadingSpinner(container, text = this.i18n.t('loading.generic')) {
+    const loader = this.domManager.createElement('div', 'loading-spinner');
+    const spinnerIcon = this.domManager.createElement('div', 'spinner-icon');
+    const loadingText = this.domManager.createElement('div', 'loading-text');
     
-    loadingText.appendChild(domManager.createTextNode(text));
-    domManager.appendChildren(loader, spinnerIcon, loadingText);
+    loadingText.appendChild(this.domManager.createTextNode(text));
+    this.domManager.appendChildren(loader, spinnerIcon, loadingText);
     
     // Add styles
     Object.assign(loader.style, {
@@ -347,75 +565,193 @@ class ComponentSystem {
     return loader;
   }
 
-  // Create modal component
-  createModal(title, content) {
-    const modal = domManager.createElement('div', 'modal-overlay');
-    const modalContent = domManager.createElement('div', 'modal-content');
-    const modalHeader = domManager.createElement('div', 'modal-header');
-    const modalTitle = domManager.createElement('h3', 'modal-title');
-    const closeBtn = domManager.createElement('button', 'modal-close');
-    const modalBody = domManager.createElement('div', 'modal-body');
+  // Create accessible modal dialog
+  // Options: size ('sm' | 'md' | 'lg'), dismissible, actions [{ label, value, variant, autofocus }], onClose
+  // The returned `result` promise resolves with the chosen action value, or null when dismissed
+  createModal(title, content, options = {}) {
+    const {
+      size = 'md',
+      dismissible = true,
+      actions = [],
+      onClose = null
+    } = options;
+
+    const id = `modal-${++this.modalCount}`;
+    const modal = this.domManager.createElement('div', 'modal-overlay');
+    const modalContent = this.domManager.createElement('div', `modal-content modal-${size}`, {
+      role: dismissible ? 'dialog' : 'alertdialog',
+      'aria-modal': 'true',
+      'aria-labelledby': `${id}-title`,
+      'aria-describedby': `${id}-body`,
+      tabindex: '-1'
+    });
+    const modalHeader = this.domManager.createElement('div', 'modal-header');
+    const modalTitle = this.domManager.createElement('h3', 'modal-title', { id: `${id}-title` });
+    const modalBody = this.domManager.createElement('div', 'modal-body', { id: `${id}-body` });
     
-    modalTitle.appendChild(domManager.createTextNode(title));
-    closeBtn.appendChild(domManager.createTextNode('×'));
+    modalTitle.appendChild(this.domManager.createTextNode(title));
+    modalHeader.appendChild(modalTitle);
     
     if (typeof content === 'string') {
-      modalBody.appendChild(domManager.createTextNode(content));
+      const paragraph = this.domManager.createElement('p');
+      paragraph.appendChild(this.domManager.createTextNode(content));
+      modalBody.appendChild(paragraph);
     } else {
       modalBody.appendChild(content);
     }
     
-    domManager.appendChildren(modalHeader, modalTitle, closeBtn);
-    domManager.appendChildren(modalContent, modalHeader, modalBody);
+    this.domManager.appendChildren(modalContent, modalHeader, modalBody);
     modal.appendChild(modalContent);
-    
-    // Add styles
-    Object.assign(modal.style, {
-      position: 'fixed',
-      top: '0',
-      left: '0',
-      right: '0',
-      bottom: '0',
-      background: 'rgba(0,0,0,0.5)',
-      display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'center',
-      zIndex: '10001',
-      opacity: '0',
-      transition: 'opacity 0.3s ease'
+
+    // Promise settled by whichever way the dialog closes
+    let resolveResult;
+    const result = new Promise(resolve => {
+      resolveResult = resolve;
     });
 
-    Object.assign(modalContent.style, {
-      background: 'white',
-      borderRadius: '12px',
-      maxWidth: '500px',
-      width: '90%',
-      maxHeight: '80vh',
-      overflow: 'auto',
-      transform: 'scale(0.9)',
-      transition: 'transform 0.3s ease'
+    const returnFocus = this.document.activeElement;
+    let isClosed = false;
+
+    // Close functionality
+    const closeModal = (value = null) => {
+      if (isClosed) return;
+      isClosed = true;
+
+      this.modalStack = this.modalStack.filter(entry => entry.modal !== modal);
+      if (!this.modalStack.length) this.unlockScroll();
+
+      this.domManager.removeClass(modal, 'active');
+      setTimeout(() => this.domManager.removeElement(modal), 300);
+
+      // Give focus back to whatever opened the dialog
+      if (returnFocus && returnFocus.focus && this.document.contains(returnFocus)) {
+        returnFocus.focus();
+      }
+
+      if (onClose) onClose(value);
+      resolveResult(value);
+    };
+
+    if (dismissible) {
+      const closeBtn = this.domManager.createElement('button', 'modal-close', {
+        type: 'button',
+        'aria-label': this.i18n.t('modal.close')
+      });
+      closeBtn.appendChild(this.domManager.createTextNode('×'));
+      closeBtn.addEventListener('click', () => closeModal(null));
+      modalHeader.appendChild(closeBtn);
+    }
+
+    // Action buttons resolve the result with their value
+    if (actions.length) {
+      const modalFooter = this.domManager.createElement('div', 'modal-footer');
+
+      actions.forEach(action => {
+        const button = this.domManager.createElement('button', `modal-action modal-action-${action.variant || 'secondary'}`, {
+          type: 'button'
+        });
+        button.appendChild(this.domManager.createTextNode(action.label));
+        button.addEventListener('click', () => closeModal(action.value));
+        if (action.autofocus) button.dataset.autofocus = 'true';
+        modalFooter.appendChild(button);
+      });
+
+      modalContent.appendChild(modalFooter);
+    }
+
+    // Keyboard: Escape dismisses the top dialog, Tab stays inside it
+    modal.addEventListener('keydown', (e) => {
+      if (this.getTopModal() !== modal) return;
+
+      if (e.key === 'Escape' && dismissible) {
+        e.preventDefault();
+        e.stopPropagation();
+        closeModal(null);
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e, modalContent);
+      }
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (dismissible && e.target === modal) closeModal(null);
     });
+
+    // Stack above any dialog that is already open
+    modal.style.zIndex = String(this.modalBaseZ + this.modalStack.length);
+    this.modalStack.push({ modal, close: closeModal });
+    this.lockScroll();
     
     // Add to DOM and animate in
-    document.body.appendChild(modal);
-    requestAnimationFrame(() => {
-      modal.style.opacity = '1';
-      modalContent.style.transform = 'scale(1)';
+    this.document.body.appendChild(modal);
+    this.window.requestAnimationFrame(() => {
+      this.domManager.addClass(modal, 'active');
     });
     
-    // Close functionality
-    const closeModal = () => {
-      modal.style.opacity = '0';
-      modalContent.style.transform = 'scale(0.9)';
-      setTimeout(() => domManager.removeElement(modal), 300);
-    };
+    const initialFocus = modalContent.querySelector('[data-autofocus]') ||
+      this.getFocusable(modalBody)[0] ||
+      modalContent;
+    initialFocus.focus();
     
-    closeBtn.addEventListener('click', closeModal);
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) closeModal();
-    });
-    
-    return { modal, close: closeModal };
+    return { modal, close: closeModal, result };
+  }
+
+  // Focusable elements within a container
+  getFocusable(container) {
+    return this.domManager.querySelectorAll(
+      'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+      'textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])',
+      container
+    ).filter(el => !el.hidden && el.getClientRects().length > 0);
+  }
+
+  // Keep Tab / Shift+Tab cycling inside a dialog
+  trapFocus(e, container) {
+    const focusable = this.getFocusable(container);
+
+    if (!focusable.length) {
+      e.preventDefault();
+      container.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (this.document.activeElement === first || this.document.activeElement === container)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && this.document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Topmost open modal overlay
+  getTopModal() {
+    const top = this.modalStack[this.modalStack.length - 1];
+    return top ? top.modal : null;
+  }
+
+  // Close every open modal, topmost first
+  closeAllModals() {
+    [...this.modalStack].reverse().forEach(entry => entry.close(null));
+  }
+
+  // Prevent the page behind dialogs from scrolling
+  lockScroll() {
+    if (this.document.body.classList.contains('modal-open')) return;
+
+    const scrollbarWidth = this.window.innerWidth - this.document.documentElement.clientWidth;
+    if (scrollbarWidth > 0) {
+      this.document.body.style.paddingRight = `${scrollbarWidth}px`;
+    }
+    this.domManager.addClass(this.document.body, 'modal-open');
+  }
+
+  // Restore page scrolling once the last dialog closes
+  unlockScroll() {
+    this.domManager.removeClass(this.document.body, 'modal-open');
+    this.document.body.style.paddingRight = '';
   }
 
   // Clear container content
@@ -437,11 +773,3 @@ class ComponentSystem {
     return this.templates.has(name);
   }
 }
-
-// Create global instance
-window.componentSystem = new ComponentSystem();
-
-// Export for module use
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = ComponentSystem;
-}
@@ -0,0 +1,145 @@
+/**
+ * Countdown - Live "starts in" timers for events on one shared ticker
+ * Counts down to the start, then reads "Live now" and "Ended"; stops while the page is hidden
+ */
+
+export class Countdown {
+  constructor({ window, i18n, eventSchedule, interval = 1000 }) {
+    this.window = window;
+    this.document = window.document;
+    this.i18n = i18n;
+    this.eventSchedule = eventSchedule;
+    this.interval = interval;
+    // Element -> { event, phase } for every timer on the page
+    this.timers = new Map();
+    this.listeners = new Set();
+    this.timerId = null;
+    this.isPaused = false;
+    this.tick = () => this.update();
+  }
+
+  // Show a live countdown to event's start in element, replacing whatever it counted before
+  watch(element, event) {
+    if (!element) return;
+
+    this.timers.set(element, { event, phase: null });
+    this.render(element, this.timers.get(element), new Date());
+    this.start();
+  }
+
+  // Stop updating an element
+  unwatch(element) {
+    this.timers.delete(element);
+    if (!this.timers.size) this.stop();
+  }
+
+  // Subscribe to timers moving between upcoming, live and ended; returns an unsubscribe function
+  onPhaseChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Where an event stands at a moment: { phase: 'upcoming' | 'live' | 'ended', days, hours, minutes }
+  // Time left is rounded up to the minute, so "1m" shows until the event actually starts
+  getState(event, now = new Date()) {
+    const start = this.eventSchedule.getStart(event);
+
+    if (now >= this.eventSchedule.getEnd(event)) return { phase: 'ended' };
+    if (now >= start) return { phase: 'live' };
+
+    const totalMinutes = Math.ceil((start - now) / 60000);
+    return {
+      phase: 'upcoming',
+      days: Math.floor(totalMinutes / 1440),
+      hours: Math.floor((totalMinutes % 1440) / 60),
+      minutes: totalMinutes % 60
+    };
+  }
+
+  // Text for a state: "Starts in 2d 4h 13m", "Live now" or "Ended"
+  format(state) {
+    if (state.phase !== 'upcoming') {
+      return this.i18n.t(`countdown.${state.phase}`);
+    }
+
+    // Leading zero units are dropped; minutes always show
+    const units = [['day', state.days], ['hour', state.hours], ['minute', state.minutes]];
+    const first = units.findIndex(([unit, value]) => value > 0 || unit === 'minute');
+    const time = units.slice(first)
+      .map(([unit, value]) => this.i18n.formatNumber(value, { style: 'unit', unit, unitDisplay: 'narrow' }))
+      .join(' ');
+
+    return this.i18n.t('countdown.startsIn', { time });
+  }
+
+  // Write a timer's current text, noting when its phase moves on
+  render(element, timer, now) {
+    const state = this.getState(timer.event, now);
+    const text = this.format(state);
+    const changed = timer.phase !== null && timer.phase !== state.phase;
+
+    timer.phase = state.phase;
+    element.dataset.phase = state.phase;
+    if (element.textContent !== text) {
+      element.textContent = text;
+    }
+
+    return changed;
+  }
+
+  // Refresh every timer; elements that have left the page are dropped
+  update() {
+    const now = new Date();
+    const moved = [];
+
+    [...this.timers].forEach(([element, timer]) => {
+      if (!element.isConnected) {
+        this.timers.delete(element);
+        return;
+      }
+      if (this.render(element, timer, now)) moved.push(timer);
+    });
+
+    if (!this.timers.size) this.stop();
+
+    // Listeners may re-render the timers' elements, so they run once the sweep is done
+    moved.forEach(({ event, phase }) => {
+      this.listeners.forEach(listener => listener(event, phase));
+    });
+  }
+
+  // Run the ticker while there are timers and the page is visible
+  start() {
+    if (this.timerId !== null || this.isPaused || !this.timers.size) return;
+    this.timerId = this.window.setInterval(this.tick, this.interval);
+  }
+
+  // Stop the ticker
+  stop() {
+    if (this.timerId === null) return;
+    this.window.clearInterval(this.timerId);
+    this.timerId = null;
+  }
+
+  // Hold every timer while the page is hidden
+  pause() {
+    this.isPaused = true;
+    this.stop();
+  }
+
+  // Catch up at once, then carry on ticking
+  resume() {
+    if (!this.isPaused) return;
+
+    this.isPaused = false;
+    this.update();
+    this.start();
+  }
+
+  // Drop every timer and listener
+  destroy() {
+    this.stop();
+    this.timers.clear();
+    this.listeners.clear();
+  }
+}
@@ -3,15 +3,17 @@
  * Avoids innerHTML and uses proper DOM methods
  */
 
-class DOMManager {
-  constructor() {
+export class DOMManager {
+  constructor({ window }) {
+    this.window = window;
+    this.document = window.document;
     this.templates = new Map();
     this.observers = new Map();
   }
 
   // Create element using document.createElement
   createElement(tagName, className = '', attributes = {}) {
-    const element = document.createElement(tagName);
+    const element = this.document.createElement(tagName);
     
     if (className) {
       element.className = className;
@@ -26,7 +28,7 @@ class DOMManager {
 
   // Create text node
   createTextNode(text) {
-    return document.createTextNode(text);
+    return this.document.createTextNode(text);
   }
 
   // Clone node (preferred method)
@@ -36,12 +38,12 @@ class DOMManager {
 
   // Append multiple children efficiently
   appendChildren(parent, ...children) {
-    const fragment = document.createDocumentFragment();
+    const fragment = this.document.createDocumentFragment();
     
     children.forEach(child => {
       if (typeof child === 'string') {
         fragment.appendChild(this.createTextNode(child));
-      } else if (child instanceof Node) {
+      } else if (child instanceof this.window.Node) {
         fragment.appendChild(child);
       }
     });
@@ -93,18 +95,18 @@ class DOMManager {
   }
 
   // Query selector with null check
-  querySelector(selector, context = document) {
+  querySelector(selector, context = this.document) {
     return context.querySelector(selector);
   }
 
   // Query selector all with null check
-  querySelectorAll(selector, context = document) {
+  querySelectorAll(selector, context = this.document) {
     return Array.from(context.querySelectorAll(selector));
   }
 
   // Get element by ID with null check
   getElementById(id) {
-    return document.getElementById(id);
+    return this.document.getElementById(id);
   }
 
   // Intersection Observer wrapper
@@ -114,7 +116,7 @@ class DOMManager {
       rootMargin: '0px 0px -50px 0px'
     };
 
-    const observer = new IntersectionObserver(callback, {
+    const observer = new this.window.IntersectionObserver(callback, {
       ...defaultOptions,
       ...options
     });
@@ -134,38 +136,15 @@ class DOMManager {
     };
   }
 
-  // Create notification element
-  createNotification(message, type = 'info') {
-    const notification = this.createElement('div', `notification notification-${type}`);
-    
-    const content = this.createElement('div', 'notification-content');
-    content.appendChild(this.createTextNode(message));
-    
-    const closeBtn = this.createElement('button', 'notification-close');
-    closeBtn.appendChild(this.createTextNode('×'));
-    
-    this.appendChildren(notification, content, closeBtn);
-    
-    // Auto-remove functionality
-    closeBtn.addEventListener('click', () => {
-      this.removeNotification(notification);
-    });
-    
-    setTimeout(() => {
-      this.removeNotification(notification);
-    }, 5000);
-    
-    return notification;
-  }
-
-  // Remove notification with animation
-  removeNotification(notification) {
-    if (notification && notification.parentNode) {
-      this.addClass(notification, 'notification-exit');
-      setTimeout(() => {
-        this.removeElement(notification);
-      }, 300);
-    }
+  // Turn a title into a URL-safe slug
+  slugify(text) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
   }
 
   // Debounce utility
@@ -214,7 +193,7 @@ class DOMManager {
         return;
       }
 
-      const observer = new MutationObserver((mutations, obs) => {
+      const observer = new this.window.MutationObserver((mutations, obs) => {
         const element = this.querySelector(selector);
         if (element) {
           obs.disconnect();
@@ -222,7 +201,7 @@ class DOMManager {
         }
       });
 
-      observer.observe(document.body, {
+      observer.observe(this.document.body, {
         childList: true,
         subtree: true
       });
@@ -239,7 +218,7 @@ class DOMManager {
     if (!element) return;
     
     const elementTop = element.offsetTop - offset;
-    window.scrollTo({
+    this.window.scrollTo({
       top: elementTop,
       behavior: 'smooth'
     });
@@ -248,8 +227,8 @@ class DOMManager {
   // Get viewport dimensions
   getViewport() {
     return {
-      width: window.innerWidth,
-      height: window.innerHeight
+      width: this.window.innerWidth,
+      height: this.window.innerHeight
     };
   }
 
@@ -268,11 +247,3 @@ class DOMManager {
     );
   }
 }
-
-// Create global instance
-window.domManager = new DOMManager();
-
-// Export for module use
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = DOMManager;
-}
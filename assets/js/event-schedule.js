@@ -0,0 +1,101 @@
+/**
+ * Event Schedule - Date and time helpers for siteData events
+ * Turns date/startTime/endTime/timezone fields into real instants
+ */
+
+export class EventSchedule {
+  constructor({ i18n }) {
+    this.i18n = i18n;
+  }
+
+  // Build a Date from 'YYYY-MM-DD', 'HH:MM' and an optional '+05:30' offset
+  parse(date, time = '00:00', timezone = '') {
+    return new Date(`${date}T${time}:00${timezone || ''}`);
+  }
+
+  // Whether the event has no start time and spans whole days
+  isAllDay(event) {
+    return !event.startTime;
+  }
+
+  // Start instant of an event
+  getStart(event) {
+    return this.parse(event.date, event.startTime || '00:00', event.timezone);
+  }
+
+  // End instant; all-day and open-ended events run to the end of their last day
+  getEnd(event) {
+    const lastDay = event.endDate || event.date;
+
+    if (event.endTime) {
+      return this.parse(lastDay, event.endTime, event.timezone);
+    }
+
+    const end = this.parse(lastDay, '00:00', event.timezone);
+    end.setDate(end.getDate() + 1);
+    return end;
+  }
+
+  // Whether an event has not finished yet
+  isUpcoming(event, now = new Date()) {
+    return this.getEnd(event) > now;
+  }
+
+  // Split events into upcoming and past relative to now
+  partition(events, now = new Date()) {
+    return events.reduce((groups, event) => {
+      groups[this.isUpcoming(event, now) ? 'upcoming' : 'past'].push(event);
+      return groups;
+    }, { upcoming: [], past: [] });
+  }
+
+  // Upcoming events of a type in the chosen order, plus matching past events newest first
+  arrange(events, { type = 'all', order = 'asc', now = new Date() } = {}) {
+    const matchesType = (event) => type === 'all' || event.type === type;
+    const { upcoming, past } = this.partition(events.filter(matchesType), now);
+
+    return {
+      upcoming: this.sortByStart(upcoming, order),
+      past: this.sortByStart(past, 'desc')
+    };
+  }
+
+  // Sort a copy of the events by start time ('asc' = soonest first)
+  sortByStart(events, order = 'asc') {
+    const direction = order === 'desc' ? -1 : 1;
+    return [...events].sort((a, b) => (this.getStart(a) - this.getStart(b)) * direction);
+  }
+
+  // Full human-readable date, e.g. "Sunday, 15 December 2024"
+  formatFullDate(event, locale = this.i18n.locale) {
+    const options = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' };
+    const start = this.getStart(event).toLocaleDateString(locale, options);
+
+    if (!event.endDate || event.endDate === event.date) {
+      return start;
+    }
+
+    const end = this.getEnd(event);
+    if (!event.endTime) end.setDate(end.getDate() - 1);
+    return `${start} – ${end.toLocaleDateString(locale, options)}`;
+  }
+
+  // Time range in the visitor's time zone, e.g. "10:00 – 17:00 GMT+5:30"
+  formatTimeRange(event, locale = this.i18n.locale) {
+    if (this.isAllDay(event)) return this.i18n.t('events.allDay');
+
+    const start = this.getStart(event).toLocaleTimeString(locale, {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    if (!event.endTime) return start;
+
+    const end = this.getEnd(event).toLocaleTimeString(locale, {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    });
+    return `${start} – ${end}`;
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Form Transport - Swappable delivery layer for site forms
+ * JSON POST, form-encoded POST and mailto: fallback with retries
+ */
+
+export class FormSubmissionError extends Error {
+  constructor(message, { status = 0, fieldErrors = {}, retryable = false } = {}) {
+    super(message);
+    this.name = 'FormSubmissionError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
+  }
+}
+
+export class FormTransport {
+  constructor({ window, fetch, config = {} }) {
+    this.window = window;
+    this.fetch = fetch;
+    this.config = {
+      transport: 'mailto',
+      endpoint: '',
+      mailto: '',
+      subject: 'Website enquiry',
+      retries: 3,
+      retryDelay: 500,
+      timeout: 10000,
+      ...config
+    };
+    this.transports = new Map();
+    this.registerDefaultTransports();
+  }
+
+  // Register built-in transports
+  registerDefaultTransports() {
+    this.registerTransport('json', (formData, config) => this.sendJSON(formData, config));
+    this.registerTransport('form', (formData, config) => this.sendFormEncoded(formData, config));
+    this.registerTransport('mailto', (formData, config) => this.sendMailto(formData, config));
+  }
+
+  // Add or replace a transport by name
+  registerTransport(name, handler) {
+    this.transports.set(name, handler);
+  }
+
+  // Merge new settings into the current config
+  configure(config = {}) {
+    this.config = { ...this.config, ...config };
+  }
+
+  // Resolve which transport handles the next submission
+  resolveTransport() {
+    const { transport, endpoint } = this.config;
+
+    // HTTP transports are useless without an endpoint
+    if (transport !== 'mailto' && !endpoint && this.transports.has('mailto')) {
+      return 'mailto';
+    }
+
+    return this.transports.has(transport) ? transport : 'mailto';
+  }
+
+  // Submit form data through the configured transport
+  async submit(formData) {
+    const name = this.resolveTransport();
+    const handler = this.transports.get(name);
+
+    // Only network-bound transports benefit from retries
+    if (name === 'mailto') {
+      return handler(formData, this.config);
+    }
+
+    return this.withRetry(() => handler(formData, this.config));
+  }
+
+  // Retry retryable failures with exponential backoff
+  async withRetry(task) {
+    const { retries, retryDelay } = this.config;
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await task();
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) {
+          throw error;
+        }
+
+        const delay = retryDelay * Math.pow(2, attempt);
+        attempt++;
+        console.warn(`📮 Submission failed, retrying in ${delay}ms (${attempt}/${retries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // POST form fields as a JSON document
+  sendJSON(formData, config) {
+    return this.request(config, JSON.stringify(Object.fromEntries(formData)), {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    });
+  }
+
+  // POST form fields URL-encoded for static form services
+  sendFormEncoded(formData, config) {
+    return this.request(config, new URLSearchParams(formData).toString(), {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    });
+  }
+
+  // Hand the message to the visitor's mail client
+  sendMailto(formData, config) {
+    if (!config.mailto) {
+      throw new FormSubmissionError('No delivery method is configured for this form.');
+    }
+
+    const fields = Object.fromEntries(formData);
+    const body = Object.entries(fields)
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('\n');
+    const query = new URLSearchParams({ subject: config.subject, body }).toString()
+      .replace(/\+/g, '%20');
+
+    this.window.location.href = `mailto:${config.mailto}?${query}`;
+
+    return { success: true, transport: 'mailto' };
+  }
+
+  // Perform the HTTP request with a timeout
+  // The timeout covers reading the body too, so a server that stalls mid-response still fails
+  async request(config, body, headers) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeout);
+
+    try {
+      const response = await this.fetch(config.endpoint, {
+        method: 'POST',
+        headers,
+        body,
+        signal: controller.signal
+      });
+      const payload = await this.readBody(response);
+      return this.parseResponse(response, payload);
+    } catch (error) {
+      if (error instanceof FormSubmissionError) throw error;
+
+      const reason = error.name === 'AbortError' ? 'Request timed out' : 'Network error';
+      throw new FormSubmissionError(reason, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Turn a server response and its body into a result or a FormSubmissionError
+  parseResponse(response, payload) {
+    if (response.ok && payload.success !== false) {
+      // Our fields go last so a server reply can't claim a different outcome or transport
+      return { ...payload, success: true, transport: this.resolveTransport() };
+    }
+
+    const fieldErrors = this.extractFieldErrors(payload);
+    const message = payload.message || payload.error ||
+      `HTTP ${response.status}: ${response.statusText}`;
+
+    throw new FormSubmissionError(message, {
+      status: response.status,
+      fieldErrors,
+      retryable: response.status >= 500
+    });
+  }
+
+  // Read JSON when available, falling back to plain text
+  async readBody(response) {
+    const text = await response.text();
+    if (!text) return {};
+
+    try {
+      const data = JSON.parse(text);
+      return data && typeof data === 'object' ? data : { message: String(data) };
+    } catch (error) {
+      return { message: text.trim() };
+    }
+  }
+
+  // Normalise { errors: { field: msg } } and { errors: [{ field, message }] }
+  extractFieldErrors(payload) {
+    const { errors } = payload;
+    const fieldErrors = {};
+
+    if (Array.isArray(errors)) {
+      errors.forEach(entry => {
+        if (entry && entry.field) {
+          fieldErrors[entry.field] = entry.message || 'Invalid value';
+        }
+      });
+    } else if (errors && typeof errors === 'object') {
+      Object.entries(errors).forEach(([field, value]) => {
+        fieldErrors[field] = Array.isArray(value) ? value.join(' ') : String(value);
+      });
+    }
+
+    return fieldErrors;
+  }
+}
@@ -0,0 +1,386 @@
+/**
+ * I18n - Message catalogs, localized siteData and Intl formatting
+ * English ships inline so UI strings never flash as raw keys
+ */
+
+export const DEFAULT_MESSAGES = {
+  loading: {
+    text: 'Initializing Innovation...',
+    generic: 'Loading...'
+  },
+  nav: {
+    home: 'Home',
+    about: 'About',
+    features: 'Features',
+    events: 'Events',
+    contact: 'Contact',
+    toggle: 'Toggle navigation',
+    language: 'Language'
+  },
+  theme: {
+    label: 'Theme',
+    system: '🖥️ System',
+    light: '☀️ Light',
+    dark: '🌙 Dark'
+  },
+  motion: {
+    reduce: 'Reduce motion'
+  },
+  hero: {
+    badge: 'Next Generation Tech Excellence',
+    titleLine1: 'Empowering Youth',
+    titleLine2: 'Through',
+    titleLine3: 'Innovation',
+    subtitle: 'Transform your passion into expertise. Join cutting-edge internships, hackathons, and coding challenges that shape tomorrow\'s tech leaders.',
+    ctaPrimary: 'Start Journey',
+    ctaSecondary: 'Connect'
+  },
+  about: {
+    tag: 'About Teqpod',
+    title: 'Shaping Tomorrow\'s\nTech Leaders',
+    subtitle: 'We bridge the gap between academic learning and industry expertise through hands-on experiences and cutting-edge methodologies.',
+    missionTitle: 'Our Mission',
+    mission: 'To democratize access to world-class technology education and create pathways for students to excel in the digital economy.',
+    approachTitle: 'Our Approach',
+    approach: 'Practical, project-based learning combined with industry mentorship and real-world problem solving.',
+    visionTitle: 'Our Vision',
+    vision: 'This year we aiming to transform 50+ student into top level coding professionals with over 20+ industry level projects, 10+ innovation events like hackathon, online coding competitions and quizes.',
+    visionGoal: 'And we are expecting all with around 99% success rate.'
+  },
+  features: {
+    tag: 'What We Offer',
+    title: 'Revolutionary\nLearning Experience',
+    subtitle: 'Cutting-edge programs designed to transform passionate students into industry-ready professionals.'
+  },
+  events: {
+    tag: 'Upcoming Events',
+    title: 'Innovation\nChallenges',
+    subtitle: 'Participate in competitions that push the boundaries of technology and creativity.',
+    filterLabel: 'Filter events by type',
+    all: 'All',
+    sort: 'Sort',
+    sortAsc: 'Soonest first',
+    sortDesc: 'Latest first',
+    past: 'Past events',
+    emptyAll: 'No upcoming events are scheduled right now. Check back soon!',
+    emptyType: 'No upcoming {type} events are scheduled right now.',
+    downloadAll: 'Add all upcoming events to your calendar',
+    noneToDownload: 'There are no upcoming events to add right now.',
+    viewDetails: '{title} – view details',
+    addToCalendar: '📅 Add to calendar',
+    date: 'Date',
+    time: 'Time',
+    location: 'Location',
+    toBeAnnounced: 'To be announced',
+    allDay: 'All day'
+  },
+  contact: {
+    tag: 'Get In Touch',
+    title: 'Let\'s Build the\nFuture Together',
+    subtitle: 'Ready to embark on an extraordinary tech journey? Connect with us today.',
+    name: 'Full Name',
+    email: 'Email Address',
+    message: 'Message',
+    send: 'Send Message'
+  },
+  form: {
+    sending: 'Sending...',
+    invalid: 'Please fill in all required fields correctly.',
+    success: '🚀 Message sent successfully! We\'ll get back to you soon.',
+    mailto: '✉️ Your email app has been opened with your message ready to send.',
+    failed: 'Failed to send message. Please try again.',
+    retry: 'Retry',
+    fieldErrors: 'Please check the highlighted fields. {details}'
+  },
+  countdown: {
+    next: 'Next event',
+    startsIn: 'Starts in {time}',
+    live: 'Live now',
+    ended: 'Ended'
+  },
+  registration: {
+    register: 'Register',
+    registerFor: 'Register for {title}',
+    title: 'Register: {title}',
+    label: 'Registration',
+    choose: 'Choose…',
+    open: 'Open',
+    spotsLeft: '{count} spots left',
+    spotLeft: '1 spot left',
+    closes: 'Closes {date}',
+    full: 'Fully booked',
+    closed: 'Registration closed',
+    success: '🎟️ You\'re registered for {title}!',
+    errors: {
+      full: 'Sorry, this event has just filled up.',
+      closed: 'Registration for this event has closed.',
+      duplicate: 'This email address is already registered for this event.',
+      invalid: 'Please check your details and try again.',
+      unavailable: 'Your registration couldn\'t be completed. Please try again.'
+    }
+  },
+  footer: {
+    tagline: 'Next Generation Tech Excellence',
+    copyright: '© 2025 Teqpod Labs Private Limited. All rights reserved.'
+  },
+  sections: {
+    stats: 'statistics',
+    features: 'features',
+    events: 'events',
+    contact: 'contact',
+    footer: 'footer'
+  },
+  fallback: {
+    section: 'This {section} content is temporarily unavailable. Please check back soon.'
+  },
+  palette: {
+    label: 'Quick navigation',
+    placeholder: 'Search sections, events and actions…',
+    results: 'Results',
+    empty: 'No matching results',
+    recent: 'Recent',
+    section: 'Section',
+    event: 'Event',
+    feature: 'Feature',
+    action: 'Action',
+    copyEmail: 'Copy contact email',
+    openForm: 'Open contact form',
+    copied: 'Email address copied to clipboard.',
+    copyFailed: 'Couldn\'t access the clipboard. Copy it manually: {text}'
+  },
+  terminal: {
+    inputLabel: 'Terminal command',
+    helpIntro: 'Available commands:',
+    unknown: 'command not found: {name}. Type "help" to see what\'s available.',
+    failed: 'That command failed. Please try again.',
+    unavailable: 'That information is unavailable right now.',
+    noEvents: 'No upcoming events right now. Try "events past" for the archive.',
+    noPastEvents: 'No past events yet.',
+    gotoUsage: 'usage: goto <section> ({sections})',
+    unknownSection: 'no such section: {section} ({sections})',
+    commands: {
+      help: 'List available commands',
+      clear: 'Clear the terminal',
+      events: 'Upcoming events, or past ones',
+      features: 'What we offer',
+      contact: 'Ways to reach us',
+      goto: 'Jump to a section of the page',
+      replay: 'Play the intro again'
+    }
+  },
+  modal: {
+    close: 'Close dialog'
+  },
+  notifications: {
+    dismiss: 'Dismiss notification'
+  },
+  offline: {
+    offline: 'You\'re offline. Showing saved content, which may be out of date.',
+    stale: 'Couldn\'t reach the server. Showing saved content, which may be out of date.',
+    unavailable: 'You\'re offline and this page hasn\'t been saved for offline use yet. Reconnect and try again.'
+  },
+  errors: {
+    title: 'Error',
+    loadFailed: 'Failed to load application. Please refresh the page.',
+    refresh: 'Refresh Page'
+  }
+};
+
+// Fields that identify a list entry across locales, in order of preference
+const ENTRY_KEYS = ['slug', 'id', 'name'];
+
+export class I18n {
+  constructor({ window, domManager, fetch }) {
+    this.window = window;
+    this.document = window.document;
+    this.domManager = domManager;
+    this.fetch = fetch;
+    this.defaultLocale = 'en';
+    this.locales = {
+      en: 'English',
+      hi: 'हिन्दी'
+    };
+    this.catalogs = new Map([[this.defaultLocale, DEFAULT_MESSAGES]]);
+    this.storageKey = 'teqpod:locale';
+    this.listeners = new Set();
+    this.locale = this.detectLocale();
+    this.document.documentElement.lang = this.locale;
+  }
+
+  // Stored choice, then browser languages, then the default
+  detectLocale() {
+    try {
+      const stored = this.window.localStorage.getItem(this.storageKey);
+      if (stored && this.locales[stored]) return stored;
+    } catch (error) {
+      // Storage unavailable; fall through to browser languages
+    }
+
+    const { navigator } = this.window;
+    const preferred = (navigator.languages || [navigator.language || ''])
+      .map(language => language.toLowerCase().split('-')[0])
+      .find(language => this.locales[language]);
+
+    return preferred || this.defaultLocale;
+  }
+
+  // Fetch a message catalog unless it is already available
+  async loadCatalog(locale) {
+    if (this.catalogs.has(locale)) return;
+
+    try {
+      const response = await this.fetch(`./assets/i18n/${locale}.json`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      this.catalogs.set(locale, await response.json());
+    } catch (error) {
+      console.warn(`🌐 Could not load "${locale}" messages, using ${this.defaultLocale}:`, error);
+    }
+  }
+
+  // Switch locale, persist it and notify listeners
+  async setLocale(locale) {
+    if (!this.locales[locale]) return;
+
+    await this.loadCatalog(locale);
+    this.locale = locale;
+    this.document.documentElement.lang = locale;
+
+    try {
+      this.window.localStorage.setItem(this.storageKey, locale);
+    } catch (error) {
+      // Choice just won't survive a reload
+    }
+
+    this.listeners.forEach(listener => listener(locale));
+  }
+
+  // Subscribe to locale changes; returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Look up a dotted key in a catalog
+  lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+  }
+
+  // Whether a message exists for key in the current or default catalog
+  has(key) {
+    return typeof this.lookup(this.catalogs.get(this.locale), key) === 'string'
+      || typeof this.lookup(DEFAULT_MESSAGES, key) === 'string';
+  }
+
+  // Translate a key, interpolating {placeholders}
+  t(key, params = {}) {
+    let message = this.lookup(this.catalogs.get(this.locale), key);
+
+    if (typeof message !== 'string') {
+      message = this.lookup(DEFAULT_MESSAGES, key);
+    }
+
+    if (typeof message !== 'string') {
+      console.warn(`🌐 Missing message "${key}"`);
+      return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      (params[name] !== undefined ? params[name] : match)
+    );
+  }
+
+  // Locale-aware date formatting
+  formatDate(date, options = {}) {
+    return new Intl.DateTimeFormat(this.locale, options).format(date);
+  }
+
+  // Locale-aware number formatting
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.locale, options).format(value);
+  }
+
+  // Path of the siteData file for a locale
+  getDataURL(locale = this.locale) {
+    return locale === this.defaultLocale
+      ? './assets/data/siteData.json'
+      : `./assets/data/siteData.${locale}.json`;
+  }
+
+  // Overlay localized fields onto the base data
+  // List entries match on their slug, id or name so reordering or removing an entry in the
+  // base file can't attach a translation to the wrong one; lists without such a key merge by position
+  mergeLocalized(base, overlay, path = 'siteData') {
+    if (Array.isArray(base) && Array.isArray(overlay)) {
+      return this.mergeLocalizedList(base, overlay, path);
+    }
+
+    if (base && overlay && typeof base === 'object' && typeof overlay === 'object') {
+      const merged = { ...base };
+      Object.entries(overlay).forEach(([key, value]) => {
+        merged[key] = key in base ? this.mergeLocalized(base[key], value, `${path}.${key}`) : value;
+      });
+      return merged;
+    }
+
+    return overlay === undefined || overlay === null ? base : overlay;
+  }
+
+  mergeLocalizedList(base, overlay, path) {
+    const key = ENTRY_KEYS.find(field =>
+      base.length && base.every(item => item && typeof item === 'object' && item[field] !== undefined)
+    );
+
+    if (!key) {
+      if (overlay.length > base.length) {
+        console.warn(`🌐 ${path} has ${overlay.length - base.length} localized entries with nothing to translate`);
+      }
+      return base.map((item, index) =>
+        (index < overlay.length ? this.mergeLocalized(item, overlay[index], `${path}[${index}]`) : item)
+      );
+    }
+
+    const translations = new Map();
+    overlay.forEach(entry => {
+      if (entry && base.some(item => item[key] === entry[key])) {
+        translations.set(entry[key], entry);
+      } else {
+        console.warn(`🌐 ${path} has a localized entry matching no ${key}:`, entry && entry[key]);
+      }
+    });
+
+    return base.map(item => (translations.has(item[key])
+      ? this.mergeLocalized(item, translations.get(item[key]), `${path}[${key}=${item[key]}]`)
+      : item));
+  }
+
+  // Translate static markup tagged with data-i18n / data-i18n-attr
+  translatePage(root = this.document) {
+    this.domManager.querySelectorAll('[data-i18n]', root).forEach(element => {
+      this.setText(element, this.t(element.dataset.i18n));
+    });
+
+    // data-i18n-attr="aria-label:nav.toggle;title:nav.toggle"
+    this.domManager.querySelectorAll('[data-i18n-attr]', root).forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (attribute && key) {
+          element.setAttribute(attribute, this.t(key));
+        }
+      });
+    });
+  }
+
+  // Replace text content, turning \n into <br> without innerHTML
+  setText(element, text) {
+    while (element.firstChild) {
+      element.removeChild(element.firstChild);
+    }
+
+    text.split('\n').forEach((line, index) => {
+      if (index > 0) element.appendChild(this.domManager.createElement('br'));
+      element.appendChild(this.domManager.createTextNode(line));
+    });
+  }
+}
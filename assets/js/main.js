@@ -0,0 +1,97 @@
+/**
+ * Main - Composition root for the Teqpod site
+ * Builds every system with its dependencies, starts the app and exposes the debug handle
+ */
+
+import { DOMManager } from './dom-manager.js';
+import { Timeline } from './timeline.js';
+import { I18n } from './i18n.js';
+import { NotificationCenter } from './notification-center.js';
+import { SchemaValidator, SITE_DATA_SCHEMA } from './schema-validator.js';
+import { EventSchedule } from './event-schedule.js';
+import { HashRouter } from './router.js';
+import { CommandPalette } from './command-palette.js';
+import { FormTransport } from './form-transport.js';
+import { Registration } from './registration.js';
+import { OfflineSupport } from './offline-support.js';
+import { Analytics } from './analytics.js';
+import { AnimationSystem } from './animations.js';
+import { ComponentSystem } from './components.js';
+import { StructuredData } from './structured-data.js';
+import { CalendarExport } from './calendar-export.js';
+import { HeroTerminal } from './terminal.js';
+import { Countdown } from './countdown.js';
+import { TeqpodApp, AppLifecycle } from './app.js';
+
+// Created by the classic scripts in <head>, which have to run before first paint
+const { themeManager, motionPreference } = window;
+
+const fetch = window.fetch.bind(window);
+
+const domManager = new DOMManager({ window });
+const timeline = new Timeline({ window });
+const i18n = new I18n({ window, domManager, fetch });
+const notificationCenter = new NotificationCenter({ window, domManager, i18n });
+const siteDataValidator = new SchemaValidator(SITE_DATA_SCHEMA);
+const eventSchedule = new EventSchedule({ i18n });
+const hashRouter = new HashRouter({ window });
+const commandPalette = new CommandPalette({ window, domManager, i18n });
+const formTransport = new FormTransport({ window, fetch });
+const registration = new Registration({ window, fetch, eventSchedule });
+const offlineSupport = new OfflineSupport({ window });
+const analytics = new Analytics({ window, fetch, i18n });
+const animationSystem = new AnimationSystem({ window, domManager, i18n, timeline, motionPreference });
+const countdown = new Countdown({ window, i18n, eventSchedule });
+const componentSystem = new ComponentSystem({
+  window,
+  domManager,
+  animationSystem,
+  timeline,
+  i18n,
+  eventSchedule,
+  notificationCenter,
+  registration,
+  countdown
+});
+const structuredData = new StructuredData({ window, domManager, componentSystem, i18n });
+const calendarExport = new CalendarExport({ window, domManager, componentSystem, eventSchedule });
+const heroTerminal = new HeroTerminal({ window, domManager, i18n });
+
+const app = new TeqpodApp({
+  window,
+  domManager,
+  animationSystem,
+  componentSystem,
+  heroTerminal,
+  countdown,
+  i18n,
+  themeManager,
+  motionPreference,
+  hashRouter,
+  commandPalette,
+  formTransport,
+  registration,
+  offlineSupport,
+  analytics,
+  structuredData,
+  siteDataValidator,
+  eventSchedule,
+  calendarExport,
+  fetch
+});
+
+// Set before anything else runs so plugins and the console always reach the live app
+window.teqpodApp = app;
+
+animationSystem.init();
+new AppLifecycle({ window, app, animationSystem, countdown }).init();
+
+// Final console message
+console.info(`
+╔════════════════════════════════════════╗
+       🚀 TEQPOD LABS LOADED             
+                                        
+                                        
+       Ready for Innovation! 🌟           
+╚════════════════════════════════════════╝
+`);
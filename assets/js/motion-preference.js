@@ -0,0 +1,109 @@
+/**
+ * Motion Preference - Reduced motion from the OS setting or the in-page toggle
+ * Loaded in <head> so html[data-motion] is set before the first animation runs
+ */
+
+class MotionPreference {
+  constructor({ window }) {
+    this.window = window;
+    this.document = window.document;
+    // system follows prefers-reduced-motion; reduce and full override it
+    this.modes = ['system', 'reduce', 'full'];
+    this.storageKey = 'teqpod:motion';
+    this.listeners = new Set();
+    this.media = this.window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.mode = this.loadMode();
+    this.isReduced = this.resolve();
+
+    // Follow OS changes live while in system mode
+    this.handleSystemChange = () => {
+      if (this.mode === 'system') this.apply();
+    };
+    this.watchSystem(true);
+
+    this.apply();
+  }
+
+  // Stored mode, defaulting to system
+  loadMode() {
+    try {
+      const stored = this.window.localStorage.getItem(this.storageKey);
+      return this.modes.includes(stored) ? stored : 'system';
+    } catch (error) {
+      return 'system';
+    }
+  }
+
+  // Subscribe or unsubscribe from prefers-reduced-motion changes
+  watchSystem(enabled) {
+    const method = enabled ? 'addEventListener' : 'removeEventListener';
+
+    if (this.media[method]) {
+      this.media[method]('change', this.handleSystemChange);
+    } else {
+      // Safari < 14 only supports the legacy listener API
+      this.media[enabled ? 'addListener' : 'removeListener'](this.handleSystemChange);
+    }
+  }
+
+  // Whether motion should currently be reduced
+  resolve() {
+    if (this.mode === 'system') return this.media.matches;
+    return this.mode === 'reduce';
+  }
+
+  // Turn reduced motion on or off from the toggle and persist the choice
+  // Picking what the OS already asks for goes back to following the OS
+  setReduced(reduced) {
+    this.mode = reduced === this.media.matches ? 'system' : (reduced ? 'reduce' : 'full');
+
+    try {
+      this.window.localStorage.setItem(this.storageKey, this.mode);
+    } catch (error) {
+      // Choice just won't survive a reload
+    }
+
+    this.apply();
+  }
+
+  // Flip the current setting
+  toggle() {
+    this.setReduced(!this.isReduced);
+  }
+
+  // Reflect the setting on <html> and tell subscribers when it changes
+  apply() {
+    const reduced = this.resolve();
+    const changed = reduced !== this.isReduced;
+
+    this.isReduced = reduced;
+    this.document.documentElement.dataset.motion = reduced ? 'reduce' : 'full';
+
+    if (changed) {
+      this.listeners.forEach(listener => listener(reduced, this.mode));
+    }
+  }
+
+  // Subscribe to changes; returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Stop following the OS setting
+  cleanup() {
+    this.watchSystem(false);
+    this.listeners.clear();
+  }
+}
+
+// Created while <head> loads so html[data-motion] is set before the first animation runs;
+// main.js hands this instance to everything else. Outside a browser only the class is loaded.
+if (typeof window !== 'undefined') {
+  window.motionPreference = new MotionPreference({ window });
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MotionPreference;
+}
@@ -0,0 +1,244 @@
+/**
+ * Notification Center - Stacked, queued and de-duplicated toast messages
+ * Every message is also announced through an aria-live region
+ */
+
+export class NotificationCenter {
+  constructor({ window, domManager, i18n }) {
+    this.window = window;
+    this.document = window.document;
+    this.domManager = domManager;
+    this.i18n = i18n;
+    this.types = ['success', 'error', 'warning', 'info'];
+    this.maxVisible = 3;
+    this.defaultDuration = 5000;
+    this.visible = [];
+    this.queue = [];
+    this.counter = 0;
+    this.elements = null;
+  }
+
+  // Build the stack container and live regions on first use
+  build() {
+    const stack = this.domManager.createElement('div', 'notification-stack');
+    // Errors and warnings interrupt; everything else waits its turn
+    const polite = this.domManager.createElement('div', 'sr-only', {
+      'aria-live': 'polite',
+      'aria-atomic': 'true'
+    });
+    const assertive = this.domManager.createElement('div', 'sr-only', {
+      'aria-live': 'assertive',
+      'aria-atomic': 'true'
+    });
+
+    this.domManager.appendChildren(this.document.body, stack, polite, assertive);
+    this.elements = { stack, polite, assertive };
+  }
+
+  // Show a message; options: type, duration, persistent, actions [{ label, run }]
+  show(message, options = {}) {
+    if (!this.elements) this.build();
+
+    const type = this.types.includes(options.type) ? options.type : 'info';
+    const key = `${type}:${message}`;
+
+    // Repeat of a message that is still around: bump its counter instead
+    const existing = this.findByKey(key);
+    if (existing) {
+      this.repeat(existing);
+      return existing.handle;
+    }
+
+    const entry = {
+      id: ++this.counter,
+      key,
+      type,
+      message,
+      count: 1,
+      actions: options.actions || [],
+      persistent: !!options.persistent || (options.actions || []).length > 0,
+      duration: options.duration || this.defaultDuration,
+      remaining: 0,
+      timer: null,
+      startedAt: 0,
+      paused: new Set(),
+      element: null
+    };
+    entry.handle = {
+      id: entry.id,
+      dismiss: () => this.dismiss(entry)
+    };
+
+    if (this.visible.length < this.maxVisible) {
+      this.display(entry);
+    } else {
+      this.queue.push(entry);
+    }
+
+    return entry.handle;
+  }
+
+  // Visible or queued notification with the same type and message
+  findByKey(key) {
+    return this.visible.find(entry => entry.key === key) ||
+      this.queue.find(entry => entry.key === key) ||
+      null;
+  }
+
+  // Count a duplicate and give it a fresh lifetime
+  repeat(entry) {
+    entry.count += 1;
+    this.announce(entry.message, entry.type);
+
+    if (entry.element) {
+      this.renderCount(entry);
+      if (!entry.persistent) {
+        entry.remaining = entry.duration;
+        if (!entry.paused.size) this.startTimer(entry);
+      }
+    }
+  }
+
+  // Render a notification into the stack
+  display(entry) {
+    // Announcements go through the live regions, so the toast itself stays silent
+    const notification = this.domManager.createElement('div', `notification notification-${entry.type}`);
+    const content = this.domManager.createElement('div', 'notification-content');
+    const text = this.domManager.createElement('span', 'notification-text');
+    const count = this.domManager.createElement('span', 'notification-count', { 'aria-hidden': 'true' });
+    const closeBtn = this.domManager.createElement('button', 'notification-close', {
+      type: 'button',
+      'aria-label': this.i18n.t('notifications.dismiss')
+    });
+
+    text.appendChild(this.domManager.createTextNode(entry.message));
+    closeBtn.appendChild(this.domManager.createTextNode('×'));
+    count.hidden = true;
+    this.domManager.appendChildren(content, text, count);
+
+    if (entry.actions.length) {
+      const actions = this.domManager.createElement('div', 'notification-actions');
+
+      entry.actions.forEach(action => {
+        const button = this.domManager.createElement('button', 'notification-action', { type: 'button' });
+        button.appendChild(this.domManager.createTextNode(action.label));
+        button.addEventListener('click', () => {
+          this.dismiss(entry);
+          action.run();
+        });
+        actions.appendChild(button);
+      });
+
+      content.appendChild(actions);
+    }
+
+    content.appendChild(closeBtn);
+    notification.appendChild(content);
+    closeBtn.addEventListener('click', () => this.dismiss(entry));
+
+    // Pause auto-dismiss while the pointer or keyboard focus is on the toast
+    notification.addEventListener('mouseenter', () => this.pause(entry, 'hover'));
+    notification.addEventListener('mouseleave', () => this.resume(entry, 'hover'));
+    notification.addEventListener('focusin', () => this.pause(entry, 'focus'));
+    notification.addEventListener('focusout', (e) => {
+      if (!notification.contains(e.relatedTarget)) this.resume(entry, 'focus');
+    });
+
+    entry.element = notification;
+    this.visible.push(entry);
+    this.announce(entry.message, entry.type);
+    this.elements.stack.appendChild(notification);
+    this.renderCount(entry);
+
+    this.window.requestAnimationFrame(() => {
+      this.domManager.addClass(notification, 'notification-enter');
+    });
+
+    if (!entry.persistent) {
+      entry.remaining = entry.duration;
+      this.startTimer(entry);
+    }
+  }
+
+  // Show the "×N" badge for collapsed duplicates
+  renderCount(entry) {
+    const count = entry.element.querySelector('.notification-count');
+    count.textContent = `×${entry.count}`;
+    count.hidden = entry.count < 2;
+  }
+
+  // Start (or restart) the auto-dismiss countdown
+  startTimer(entry) {
+    clearTimeout(entry.timer);
+    entry.startedAt = Date.now();
+    entry.timer = setTimeout(() => this.dismiss(entry), entry.remaining);
+  }
+
+  // Stop the countdown, remembering how long was left
+  pause(entry, reason) {
+    if (entry.persistent) return;
+
+    if (!entry.paused.size && entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      entry.remaining = Math.max(entry.remaining - (Date.now() - entry.startedAt), 0);
+    }
+    entry.paused.add(reason);
+  }
+
+  // Continue the countdown once nothing is holding it
+  resume(entry, reason) {
+    if (entry.persistent) return;
+
+    entry.paused.delete(reason);
+    if (!entry.paused.size && !entry.timer && entry.element) {
+      // Leave a moment to read the message after moving away
+      entry.remaining = Math.max(entry.remaining, 1000);
+      this.startTimer(entry);
+    }
+  }
+
+  // Remove a notification and promote the next queued one
+  dismiss(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+
+    const queued = this.queue.indexOf(entry);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      return;
+    }
+
+    const index = this.visible.indexOf(entry);
+    if (index === -1) return;
+
+    const { element } = entry;
+    this.visible.splice(index, 1);
+    entry.element = null;
+    this.domManager.addClass(element, 'notification-exit');
+    setTimeout(() => this.domManager.removeElement(element), 300);
+
+    if (this.queue.length) {
+      this.display(this.queue.shift());
+    }
+  }
+
+  // Remove everything, queued messages included
+  clear() {
+    this.queue = [];
+    [...this.visible].forEach(entry => this.dismiss(entry));
+  }
+
+  // Read a message out via the matching live region
+  announce(message, type) {
+    const region = type === 'error' || type === 'warning'
+      ? this.elements.assertive
+      : this.elements.polite;
+
+    // Clearing first makes screen readers repeat identical messages
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 100);
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Offline Support - Service worker registration and connectivity state
+ * Reports whether the page is online, offline or showing cached content
+ */
+
+export class OfflineSupport {
+  constructor({ window }) {
+    this.window = window;
+    this.navigator = window.navigator;
+    this.scriptURL = './sw.js';
+    this.registration = null;
+    this.isOnline = this.navigator.onLine !== false;
+    // Cached siteData is on screen and the network couldn't confirm it
+    this.isStale = false;
+    this.listeners = new Set();
+    this.updateListeners = new Set();
+
+    this.handleOnline = () => this.setOnline(true);
+    this.handleOffline = () => this.setOnline(false);
+    this.handleMessage = (event) => this.onWorkerMessage(event.data || {});
+
+    this.window.addEventListener('online', this.handleOnline);
+    this.window.addEventListener('offline', this.handleOffline);
+
+    // Listen before DOMContentLoaded so messages about this page load aren't missed
+    if ('serviceWorker' in this.navigator) {
+      this.navigator.serviceWorker.addEventListener('message', this.handleMessage);
+    }
+  }
+
+  // Register the service worker; a no-op where unsupported
+  async register() {
+    if (!('serviceWorker' in this.navigator)) return null;
+
+    try {
+      this.registration = await this.navigator.serviceWorker.register(this.scriptURL);
+      console.log('📡 Service worker registered');
+    } catch (error) {
+      console.warn('📡 Service worker registration failed:', error);
+    }
+
+    return this.registration;
+  }
+
+  // 'online', 'offline', or 'stale' when cached content couldn't be refreshed
+  getStatus() {
+    if (!this.isOnline) return 'offline';
+    return this.isStale ? 'stale' : 'online';
+  }
+
+  // Track browser connectivity changes
+  setOnline(isOnline) {
+    this.isOnline = isOnline;
+    if (isOnline) this.isStale = false;
+    this.notify();
+
+    // Back online: let the page pull whatever it missed
+    if (isOnline) this.emitUpdate();
+  }
+
+  // Messages posted by sw.js while revalidating siteData
+  onWorkerMessage({ type, url }) {
+    if (type === 'data-stale') {
+      this.isStale = true;
+      this.notify();
+    } else if (type === 'data-updated') {
+      this.isStale = false;
+      this.notify();
+      this.emitUpdate(url);
+    }
+  }
+
+  // Subscribe to status changes; returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Subscribe to "newer content is available"; returns an unsubscribe function
+  onUpdate(listener) {
+    this.updateListeners.add(listener);
+    return () => this.updateListeners.delete(listener);
+  }
+
+  // Tell subscribers the current status
+  notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status));
+  }
+
+  // Tell subscribers newer content can be fetched
+  emitUpdate(url = null) {
+    this.updateListeners.forEach(listener => listener(url));
+  }
+
+  // Stop listening for connectivity and worker messages
+  cleanup() {
+    this.window.removeEventListener('online', this.handleOnline);
+    this.window.removeEventListener('offline', this.handleOffline);
+
+    if ('serviceWorker' in this.navigator) {
+      this.navigator.serviceWorker.removeEventListener('message', this.handleMessage);
+    }
+
+    this.listeners.clear();
+    this.updateListeners.clear();
+  }
+}
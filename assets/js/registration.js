@@ -0,0 +1,315 @@
+/**
+ * Registration - Event sign-ups with capacity and deadline rules from siteData
+ * Submissions go through a swappable adapter: the HTTP API in production,
+ * or the localStorage mock when siteData opts into it for testing
+ * Sign-ups stay off until siteData.registration.endpoint names an API that follows
+ * the HttpAdapter contract below (scripts/mock-form-server.js implements it locally)
+ */
+
+export class RegistrationError extends Error {
+  // code: full, closed, duplicate, invalid or unavailable
+  constructor(message, { code = 'unavailable', fieldErrors = {}, retryable = false, count = null } = {}) {
+    super(message);
+    this.name = 'RegistrationError';
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
+    this.count = count;
+  }
+}
+
+// Keeps registrations in this browser so the flow can be tried without a backend
+// Test only: counts and capacity cover this browser's sign-ups alone
+export class LocalStorageAdapter {
+  constructor({ window, storageKey = 'teqpod:registrations', latency = 300 }) {
+    this.window = window;
+    this.storageKey = storageKey;
+    this.latency = latency;
+  }
+
+  // Registration counts for the given event slugs
+  async getCounts(slugs) {
+    await this.wait();
+    const store = this.read();
+    return Object.fromEntries(slugs.map(slug => [slug, (store[slug] || []).length]));
+  }
+
+  // Record a sign-up, enforcing capacity and one registration per email address
+  async register(slug, entry, { capacity = null } = {}) {
+    await this.wait();
+    const store = this.read();
+    const entries = store[slug] || [];
+    const email = String(entry.email || '').trim().toLowerCase();
+
+    if (capacity !== null && entries.length >= capacity) {
+      throw new RegistrationError('This event is full', { code: 'full', count: entries.length });
+    }
+
+    if (email && entries.some(existing => existing.email === email)) {
+      throw new RegistrationError('This email is already registered', { code: 'duplicate' });
+    }
+
+    entries.push({ ...entry, email, registeredAt: new Date().toISOString() });
+    this.write({ ...store, [slug]: entries });
+
+    return { success: true, count: entries.length };
+  }
+
+  // Forget every stored registration
+  reset() {
+    try {
+      this.window.localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // Nothing was stored
+    }
+  }
+
+  // Stored registrations by event slug
+  read() {
+    try {
+      const stored = JSON.parse(this.window.localStorage.getItem(this.storageKey));
+      return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Persist registrations; without storage there is nowhere to keep them
+  write(store) {
+    try {
+      this.window.localStorage.setItem(this.storageKey, JSON.stringify(store));
+    } catch (error) {
+      throw new RegistrationError('Registrations cannot be stored in this browser');
+    }
+  }
+
+  // Simulated network delay
+  wait() {
+    return new Promise(resolve => setTimeout(resolve, this.latency));
+  }
+}
+
+// Talks to a registration API
+//   GET  {endpoint}?events=a,b  ->  { counts: { slug: number } }
+//   POST {endpoint}/{slug}      ->  { count }; 409 { code, count }, 422 { errors: { field: message } }
+export class HttpAdapter {
+  constructor({ fetch, endpoint, timeout = 10000 }) {
+    this.fetch = fetch;
+    this.endpoint = endpoint.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  // Registration counts for the given event slugs
+  async getCounts(slugs) {
+    const query = new URLSearchParams({ events: slugs.join(',') }).toString();
+    const payload = await this.request(`${this.endpoint}?${query}`, { method: 'GET' });
+    return payload.counts || {};
+  }
+
+  // Send a sign-up; capacity and duplicates are the server's call
+  async register(slug, entry) {
+    return this.request(`${this.endpoint}/${encodeURIComponent(slug)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry)
+    });
+  }
+
+  // Perform the request with a timeout and map failures to RegistrationErrors
+  // The timeout covers reading the body too, so a server that stalls mid-response still fails
+  async request(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    let response;
+    let payload;
+
+    try {
+      response = await this.fetch(url, {
+        ...options,
+        headers: { Accept: 'application/json', ...options.headers },
+        signal: controller.signal
+      });
+      const text = await response.text();
+      payload = this.parseBody(text);
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? 'Request timed out' : 'Network error';
+      throw new RegistrationError(reason, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.ok) return payload;
+
+    const message = payload.message || `HTTP ${response.status}: ${response.statusText}`;
+
+    if (response.status === 409) {
+      const code = ['full', 'closed', 'duplicate'].includes(payload.code) ? payload.code : 'full';
+      throw new RegistrationError(message, { code, count: Number.isFinite(payload.count) ? payload.count : null });
+    }
+
+    if (response.status === 422) {
+      throw new RegistrationError(message, { code: 'invalid', fieldErrors: payload.errors || {} });
+    }
+
+    throw new RegistrationError(message, { retryable: response.status >= 500 });
+  }
+
+  // JSON body as an object; empty or non-JSON bodies read as {}
+  parseBody(text) {
+    try {
+      const data = JSON.parse(text);
+      return data && typeof data === 'object' ? data : {};
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+export class Registration {
+  constructor({ window, fetch, eventSchedule }) {
+    this.window = window;
+    this.fetch = fetch;
+    this.eventSchedule = eventSchedule;
+    this.adapters = new Map();
+    // Last known registration count per event slug
+    this.counts = new Map();
+    this.listeners = new Set();
+    // Nothing takes sign-ups until siteData names a backend
+    this.adapter = null;
+    this.configKey = null;
+    this.registerDefaultAdapters();
+  }
+
+  // Register built-in adapters
+  registerDefaultAdapters() {
+    this.registerAdapter('local', config => new LocalStorageAdapter({ ...config, window: this.window }));
+    this.registerAdapter('http', config => new HttpAdapter({ ...config, fetch: this.fetch }));
+  }
+
+  // Add or replace an adapter by name
+  // factory(config) returns an object with getCounts(slugs) and register(slug, entry, { capacity })
+  registerAdapter(name, factory) {
+    this.adapters.set(name, factory);
+  }
+
+  // Switch to the adapter named in siteData.registration
+  // Without a usable backend registration is switched off rather than kept in the browser,
+  // so sign-ups are never silently lost; the local mock has to be asked for by name
+  configure(config = {}) {
+    const key = JSON.stringify(config);
+    if (key === this.configKey) return;
+    this.configKey = key;
+
+    const { adapter = 'http', ...options } = config;
+    const wasAvailable = this.isAvailable();
+    this.adapter = null;
+
+    if (!this.adapters.has(adapter)) {
+      console.warn(`🎟️ Unknown registration adapter "${adapter}"; registration is disabled`);
+    } else if (adapter === 'http' && !options.endpoint) {
+      console.warn('🎟️ No registration endpoint is configured (siteData registration.endpoint); registration is disabled');
+    } else {
+      this.adapter = this.adapters.get(adapter)(options);
+      if (adapter === 'local') {
+        console.warn('🎟️ Registrations are stored in this browser only (local test adapter)');
+      }
+    }
+
+    if (wasAvailable || this.isAvailable()) this.notify();
+  }
+
+  // Whether sign-ups can be taken at all
+  isAvailable() {
+    return this.adapter !== null;
+  }
+
+  // When sign-ups close: the end of the deadline day, or the event start if sooner
+  getDeadline(event) {
+    const start = this.eventSchedule.getStart(event);
+    const { deadline } = event.registration;
+    if (!deadline) return start;
+
+    const closes = this.eventSchedule.parse(deadline, '23:59', event.timezone);
+    return closes < start ? closes : start;
+  }
+
+  // Registration state of an event: { state: 'open' | 'full' | 'closed', spotsLeft, closesAt }
+  // spotsLeft is null for events without a capacity; null overall when the event takes no sign-ups
+  // or no backend is configured, which hides the Register action
+  getStatus(slug, event, now = new Date()) {
+    if (!this.isAvailable() || !event || !event.registration) return null;
+
+    const { capacity } = event.registration;
+    const closesAt = this.getDeadline(event);
+    const spotsLeft = typeof capacity === 'number'
+      ? Math.max(capacity - (this.counts.get(slug) || 0), 0)
+      : null;
+
+    let state = 'open';
+    if (event.status === 'cancelled' || now >= closesAt) {
+      state = 'closed';
+    } else if (spotsLeft === 0) {
+      state = 'full';
+    }
+
+    return { state, spotsLeft, closesAt };
+  }
+
+  // Fetch current counts; the last known counts stay if the backend can't be reached
+  async load(slugs) {
+    if (!this.isAvailable() || !slugs.length) return;
+
+    try {
+      const counts = await this.adapter.getCounts(slugs);
+      const changed = slugs.filter(slug => this.setCount(slug, Number(counts[slug]) || 0, { silent: true }));
+      if (changed.length) this.notify();
+    } catch (error) {
+      console.warn('🎟️ Registration counts could not be loaded:', error);
+    }
+  }
+
+  // Sign up for an event once it is confirmed to still be open
+  async register(slug, event, entry) {
+    const status = this.getStatus(slug, event);
+
+    if (!status || status.state !== 'open') {
+      const code = status ? status.state : (this.isAvailable() ? 'closed' : 'unavailable');
+      throw new RegistrationError(`Registration is ${code}`, { code });
+    }
+
+    const capacity = event.registration.capacity ?? null;
+
+    try {
+      const result = await this.adapter.register(slug, entry, { capacity });
+      const count = Number.isFinite(result.count) ? result.count : (this.counts.get(slug) || 0) + 1;
+      this.setCount(slug, count);
+      return result;
+    } catch (error) {
+      // The backend saw a fuller list than this page did
+      if (error.code === 'full') {
+        this.setCount(slug, error.count ?? capacity ?? this.counts.get(slug) ?? 0);
+      }
+      throw error;
+    }
+  }
+
+  // Update an event's count and tell subscribers; returns whether it changed
+  setCount(slug, count, { silent = false } = {}) {
+    if (this.counts.get(slug) === count) return false;
+
+    this.counts.set(slug, count);
+    if (!silent) this.notify();
+    return true;
+  }
+
+  // Subscribe to count changes; returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Call every subscriber
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+}
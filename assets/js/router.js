@@ -0,0 +1,117 @@
+/**
+ * Router - Minimal hash router on top of the History API
+ * Maps location.hash to sections and parameterised routes like #/events/<slug>
+ */
+
+export class HashRouter {
+  constructor({ window }) {
+    this.window = window;
+    this.routes = [];
+    this.fallback = null;
+    this.isStarted = false;
+    this.handlePopState = () => this.resolve();
+  }
+
+  // Register a route pattern such as 'events/:slug' or ':section'
+  on(pattern, handler) {
+    const keys = [];
+    const source = this.normalize(pattern)
+      .split('/')
+      .map(segment => {
+        if (segment.startsWith(':')) {
+          keys.push(segment.slice(1));
+          return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+
+    this.routes.push({ pattern, keys, regex: new RegExp(`^${source}$`), handler });
+    return this;
+  }
+
+  // Handler used when no route matches
+  otherwise(handler) {
+    this.fallback = handler;
+    return this;
+  }
+
+  // Start listening for Back/Forward and resolve the initial hash
+  start() {
+    if (this.isStarted) return;
+
+    this.window.addEventListener('popstate', this.handlePopState);
+    this.isStarted = true;
+    this.resolve({ initial: true });
+  }
+
+  // Stop listening for history changes
+  stop() {
+    this.window.removeEventListener('popstate', this.handlePopState);
+    this.isStarted = false;
+  }
+
+  // Push (or replace) a hash and optionally run its handler
+  navigate(hash, { replace = false, silent = false } = {}) {
+    const target = hash.startsWith('#') ? hash : `#${hash}`;
+
+    if (target !== this.window.location.hash) {
+      const method = replace ? 'replaceState' : 'pushState';
+      this.window.history[method](this.window.history.state, '', target);
+    }
+
+    if (!silent) {
+      this.resolve();
+    }
+  }
+
+  // Update the address bar without adding a history entry or routing
+  replace(hash) {
+    this.navigate(hash, { replace: true, silent: true });
+  }
+
+  // Strip '#' and surrounding slashes: '#/events/x' -> 'events/x'
+  normalize(hash) {
+    let path = hash.replace(/^#/, '');
+
+    try {
+      path = decodeURIComponent(path);
+    } catch (error) {
+      // Malformed escapes are matched as-is
+    }
+
+    return path.replace(/^\/+|\/+$/g, '');
+  }
+
+  // Current normalised path
+  getPath() {
+    return this.normalize(this.window.location.hash);
+  }
+
+  // Match a path against the registered routes
+  match(path) {
+    for (const route of this.routes) {
+      const result = route.regex.exec(path);
+      if (result) {
+        const params = {};
+        route.keys.forEach((key, index) => {
+          params[key] = result[index + 1];
+        });
+        return { route, params };
+      }
+    }
+    return null;
+  }
+
+  // Run the handler for the current hash
+  resolve(context = {}) {
+    const path = this.getPath();
+    const matched = this.match(path);
+
+    if (matched) {
+      matched.route.handler(matched.params, { path, ...context });
+    } else if (this.fallback) {
+      this.fallback({}, { path, ...context });
+    }
+  }
+}
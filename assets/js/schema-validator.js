@@ -0,0 +1,315 @@
+/**
+ * Schema Validator - Lightweight structural checks for siteData.json
+ * Reports every bad entry by path so one broken section can't blank the page
+ */
+
+// Schema for every siteData section. Fields are required unless marked optional.
+export const SITE_DATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    company: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        shortName: { type: 'string' },
+        tagline: { type: 'string' }
+      }
+    },
+    hero: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        subtitle: { type: 'string' },
+        ctaPrimary: { type: 'string' },
+        ctaSecondary: { type: 'string' }
+      }
+    },
+    terminal: {
+      type: 'object',
+      optional: true,
+      properties: {
+        charsPerSecond: { type: 'number', optional: true },
+        loop: { type: 'boolean', optional: true },
+        loopDelay: { type: 'number', optional: true },
+        lines: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              text: { type: 'string' },
+              class: { type: 'string', optional: true, allowEmpty: true },
+              pause: { type: 'number', optional: true }
+            }
+          }
+        }
+      }
+    },
+    features: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          icon: { type: 'string' },
+          title: { type: 'string' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          description: { type: 'string' },
+          date: { type: 'string', format: 'date' },
+          endDate: { type: 'string', format: 'date', optional: true },
+          startTime: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, optional: true },
+          endTime: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, optional: true },
+          timezone: { type: 'string', pattern: /^(Z|[+-]\d{2}:\d{2})$/, optional: true },
+          location: { type: 'string', optional: true },
+          type: { type: 'string' },
+          icon: { type: 'string', optional: true },
+          slug: { type: 'string', optional: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+          status: {
+            type: 'string',
+            optional: true,
+            enum: ['scheduled', 'cancelled', 'postponed', 'rescheduled', 'movedOnline']
+          },
+          registration: {
+            type: 'object',
+            optional: true,
+            properties: {
+              capacity: { type: 'number', optional: true },
+              deadline: { type: 'string', format: 'date', optional: true },
+              // Asked for after the name and email every registration collects
+              fields: {
+                type: 'array',
+                optional: true,
+                minItems: 0,
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string', pattern: /^[a-zA-Z][\w-]*$/ },
+                    label: { type: 'string' },
+                    type: {
+                      type: 'string',
+                      optional: true,
+                      enum: ['text', 'email', 'tel', 'number', 'select', 'textarea']
+                    },
+                    required: { type: 'boolean', optional: true },
+                    options: { type: 'array', optional: true, items: { type: 'string' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    stats: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          number: { type: 'string', pattern: /^\d+(\.\d+)?$/ },
+          prefix: { type: 'string', optional: true, allowEmpty: true },
+          suffix: { type: 'string', optional: true, allowEmpty: true },
+          decimals: { type: 'number', optional: true },
+          notation: { type: 'string', optional: true, enum: ['standard', 'compact'] },
+          start: { type: 'number', optional: true },
+          easing: { type: 'string', optional: true },
+          label: { type: 'string' }
+        }
+      }
+    },
+    contact: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          icon: { type: 'string' },
+          title: { type: 'string' },
+          value: { type: 'string' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    contactForm: {
+      type: 'object',
+      optional: true,
+      properties: {
+        transport: { type: 'string', enum: ['json', 'form', 'mailto'] },
+        endpoint: { type: 'string', optional: true, allowEmpty: true },
+        mailto: { type: 'string', optional: true },
+        subject: { type: 'string', optional: true },
+        retries: { type: 'number', optional: true },
+        retryDelay: { type: 'number', optional: true },
+        timeout: { type: 'number', optional: true }
+      }
+    },
+    analytics: {
+      type: 'object',
+      optional: true,
+      properties: {
+        endpoint: { type: 'string', optional: true, allowEmpty: true },
+        batchSize: { type: 'number', optional: true },
+        flushInterval: { type: 'number', optional: true },
+        debug: { type: 'boolean', optional: true }
+      }
+    },
+    // Event sign-ups are disabled until endpoint names the registration API;
+    // 'local' is a browser-only test mock
+    registration: {
+      type: 'object',
+      optional: true,
+      properties: {
+        adapter: { type: 'string', enum: ['local', 'http'] },
+        endpoint: { type: 'string', optional: true, allowEmpty: true },
+        latency: { type: 'number', optional: true },
+        timeout: { type: 'number', optional: true }
+      }
+    },
+    footer: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          links: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string' },
+                url: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+export class SchemaValidator {
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  // Validate data and group errors by top-level section
+  validate(data) {
+    const errors = [];
+    this.check(data, this.schema, '', errors);
+
+    const invalidSections = new Set(
+      errors.map(error => error.path.split(/[.[]/)[0]).filter(Boolean)
+    );
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      invalidSections,
+      isSectionValid: (section) => !invalidSections.has(section)
+    };
+  }
+
+  // Recursively check a value against a schema node
+  check(value, schema, path, errors) {
+    const label = path || 'siteData';
+
+    if (value === undefined || value === null) {
+      if (!schema.optional) {
+        errors.push({ path: label, message: 'is missing' });
+      }
+      return;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== schema.type) {
+      errors.push({ path: label, message: `expected ${schema.type}, got ${actualType}` });
+      return;
+    }
+
+    switch (schema.type) {
+      case 'object':
+        this.checkObject(value, schema, path, errors);
+        break;
+      case 'array':
+        this.checkArray(value, schema, path, errors);
+        break;
+      case 'string':
+        this.checkString(value, schema, label, errors);
+        break;
+      case 'number':
+        if (!Number.isFinite(value)) {
+          errors.push({ path: label, message: 'must be a finite number' });
+        }
+        break;
+    }
+  }
+
+  // Check each declared property of an object
+  checkObject(value, schema, path, errors) {
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      this.check(value[key], propSchema, childPath, errors);
+    });
+  }
+
+  // Check array length and every item
+  checkArray(value, schema, path, errors) {
+    const minItems = schema.minItems ?? 1;
+    if (value.length < minItems) {
+      errors.push({ path, message: `must contain at least ${minItems} item(s)` });
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => {
+        this.check(item, schema.items, `${path}[${index}]`, errors);
+      });
+    }
+  }
+
+  // Check string content, pattern, enum and date format
+  checkString(value, schema, path, errors) {
+    if (!schema.allowEmpty && !value.trim()) {
+      errors.push({ path, message: 'must not be empty' });
+      return;
+    }
+
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push({ path, message: `"${value}" does not match ${schema.pattern}` });
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+
+    if (schema.format === 'date' && !this.isCalendarDate(value)) {
+      errors.push({ path, message: `"${value}" is not a valid YYYY-MM-DD date` });
+    }
+  }
+
+  // Strict YYYY-MM-DD naming a day that exists, the only form eventSchedule.parse accepts
+  // (Date.parse would let "Dec 15 2024" through and roll "2024-02-30" over into March)
+  isCalendarDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+
+  // Build a readable multi-line report
+  formatReport(result) {
+    if (result.valid) return 'siteData.json passed schema validation';
+
+    const lines = result.errors.map(error => `  • ${error.path} ${error.message}`);
+    return [
+      `siteData.json has ${result.errors.length} problem(s) in: ${[...result.invalidSections].join(', ')}`,
+      ...lines
+    ].join('\n');
+  }
+}
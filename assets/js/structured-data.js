@@ -0,0 +1,154 @@
+/**
+ * Structured Data - schema.org JSON-LD generated from siteData
+ * Keeps a single <script type="application/ld+json"> in <head> in sync with the content
+ */
+
+export class StructuredData {
+  constructor({ window, domManager, componentSystem, i18n }) {
+    this.window = window;
+    this.document = window.document;
+    this.domManager = domManager;
+    // Event slugs match the ones used for deep links
+    this.componentSystem = componentSystem;
+    this.i18n = i18n;
+    this.scriptId = 'structured-data';
+    // siteData event status -> schema.org EventStatusType
+    this.eventStatuses = {
+      scheduled: 'EventScheduled',
+      cancelled: 'EventCancelled',
+      postponed: 'EventPostponed',
+      rescheduled: 'EventRescheduled',
+      movedOnline: 'EventMovedOnline'
+    };
+  }
+
+  // Build the JSON-LD graph for the sections that passed validation
+  build(siteData, report = null) {
+    const isValid = (section) => !!siteData[section] && (!report || report.isSectionValid(section));
+    const pageURL = this.getPageURL();
+    const organizationId = `${pageURL}#organization`;
+    const graph = [];
+
+    if (isValid('company')) {
+      graph.push(this.createOrganization(siteData.company, isValid('contact') ? siteData.contact : [], pageURL));
+    }
+
+    if (isValid('events')) {
+      siteData.events.forEach(event => {
+        graph.push(this.createEvent(event, isValid('company') ? organizationId : null));
+      });
+    }
+
+    if (isValid('features')) {
+      graph.push(this.createFeatureList(siteData.features, pageURL));
+    }
+
+    return {
+      '@context': 'https://schema.org',
+      '@graph': graph
+    };
+  }
+
+  // Organization from company details and contact entries
+  createOrganization(company, contact, pageURL) {
+    const emails = contact
+      .map(entry => entry.value)
+      .filter(value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value));
+
+    const organization = {
+      '@type': 'Organization',
+      '@id': `${pageURL}#organization`,
+      name: company.name,
+      alternateName: company.shortName,
+      slogan: company.tagline,
+      url: pageURL,
+      logo: new URL('assets/images/logo.svg', pageURL).href
+    };
+
+    if (emails.length) {
+      organization.email = emails[0];
+      organization.contactPoint = emails.map(email => ({
+        '@type': 'ContactPoint',
+        contactType: 'customer support',
+        email
+      }));
+    }
+
+    return organization;
+  }
+
+  // Event with dates, attendance mode and status
+  createEvent(event, organizerId) {
+    const slug = this.componentSystem.getEventSlug(event);
+    const url = `${this.getPageURL()}#/events/${slug}`;
+    const isOnline = !event.location || /online/i.test(event.location);
+    const status = this.eventStatuses[event.status] || this.eventStatuses.scheduled;
+
+    const data = {
+      '@type': 'EducationEvent',
+      '@id': url,
+      name: event.title,
+      description: event.description,
+      keywords: event.type,
+      startDate: this.formatDate(event.date, event.startTime, event.timezone),
+      endDate: this.formatDate(event.endDate || event.date, event.endTime, event.timezone),
+      eventStatus: `https://schema.org/${status}`,
+      eventAttendanceMode: `https://schema.org/${isOnline ? 'Online' : 'Offline'}EventAttendanceMode`,
+      location: isOnline
+        ? { '@type': 'VirtualLocation', url }
+        : { '@type': 'Place', name: event.location },
+      url
+    };
+
+    if (organizerId) {
+      data.organizer = { '@id': organizerId };
+    }
+
+    return data;
+  }
+
+  // ItemList of the programme features
+  createFeatureList(features, pageURL) {
+    return {
+      '@type': 'ItemList',
+      '@id': `${pageURL}#features`,
+      name: this.i18n.t('features.tag'),
+      itemListElement: features.map((feature, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: feature.title,
+        description: feature.description
+      }))
+    };
+  }
+
+  // ISO 8601 date, with time and offset when the event has a start/end time
+  formatDate(date, time, timezone) {
+    return time ? `${date}T${time}:00${timezone || ''}` : date;
+  }
+
+  // Canonical page address without the hash
+  getPageURL() {
+    const { origin, pathname } = this.window.location;
+    return `${origin}${pathname}`;
+  }
+
+  // Write the graph into <head>, replacing any previous version
+  inject(data) {
+    let script = this.document.getElementById(this.scriptId);
+
+    if (!script) {
+      script = this.domManager.createElement('script', '', { type: 'application/ld+json', id: this.scriptId });
+      this.document.head.appendChild(script);
+    }
+
+    // Escape "<" so content can never close the script element early
+    script.textContent = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  }
+
+  // Rebuild and inject from the current site data
+  update(siteData, report = null) {
+    if (!siteData) return;
+    this.inject(this.build(siteData, report));
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Hero Terminal - Small interactive shell in the hero's teqpod.sh window
+ * Prompt with history and tab completion; commands are supplied by the app
+ */
+
+export class HeroTerminal {
+  constructor({ window, domManager, i18n }) {
+    this.window = window;
+    this.document = window.document;
+    this.domManager = domManager;
+    this.i18n = i18n;
+    this.commands = new Map();
+    this.listeners = new Set();
+    this.elements = null;
+    this.storageKey = 'teqpod:terminal-history';
+    this.maxHistory = 50;
+    this.history = this.loadHistory();
+    this.historyIndex = this.history.length;
+    this.draft = '';
+
+    // Always available, whatever the app registers
+    this.builtins = [
+      {
+        name: 'help',
+        usage: 'help',
+        description: () => this.i18n.t('terminal.commands.help'),
+        run: () => this.printHelp()
+      },
+      {
+        name: 'clear',
+        usage: 'clear',
+        description: () => this.i18n.t('terminal.commands.clear'),
+        run: () => this.clear()
+      }
+    ];
+  }
+
+  // Add the prompt under #terminal-output; hidden until show()
+  mount() {
+    const output = this.domManager.getElementById('terminal-output');
+    if (!output) return false;
+
+    const body = output.parentElement;
+    const form = this.domManager.createElement('form', 'terminal-prompt', { autocomplete: 'off' });
+    const prompt = this.domManager.createElement('span', 'prompt', { 'aria-hidden': 'true' });
+    const input = this.domManager.createElement('input', 'terminal-input', {
+      type: 'text',
+      'aria-label': this.i18n.t('terminal.inputLabel'),
+      'data-i18n-attr': 'aria-label:terminal.inputLabel',
+      autocomplete: 'off',
+      autocapitalize: 'off',
+      spellcheck: 'false',
+      enterkeyhint: 'send'
+    });
+
+    prompt.appendChild(this.domManager.createTextNode('$'));
+    this.domManager.appendChildren(form, prompt, input);
+    form.hidden = true;
+    body.appendChild(form);
+
+    // Screen readers hear command output as it is printed
+    this.domManager.setAttributes(output, { role: 'log', 'aria-live': 'polite' });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.execute(input.value);
+      input.value = '';
+    });
+    input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    // Clicking anywhere in the window focuses the prompt, unless text is being selected
+    body.addEventListener('click', (e) => {
+      if (form.hidden || e.target.closest('a') || String(this.window.getSelection())) return;
+      input.focus({ preventScroll: true });
+    });
+
+    this.elements = { body, output, form, input };
+    return true;
+  }
+
+  // Reveal the prompt once the boot lines have printed
+  show() {
+    if (this.elements) this.elements.form.hidden = false;
+  }
+
+  // Replace the app-supplied commands: { name, usage, description, complete?, run(args, terminal) }
+  setCommands(commands) {
+    this.commands = new Map([...commands, ...this.builtins].map(command => [command.name, command]));
+  }
+
+  // Subscribe to submitted command lines; returns an unsubscribe function
+  // Listeners run before anything is printed, so output can be settled first
+  onCommand(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Echo a command line and run it
+  execute(line) {
+    const text = line.trim();
+    this.listeners.forEach(listener => listener(text));
+    this.echo(text);
+    if (!text) return;
+
+    this.remember(text);
+
+    const [name, ...args] = text.split(/\s+/);
+    const command = this.commands.get(name.toLowerCase());
+
+    if (!command) {
+      this.print(this.i18n.t('terminal.unknown', { name }), 'error');
+      return;
+    }
+
+    try {
+      command.run(args, this);
+    } catch (error) {
+      console.error(`❌ Terminal command "${name}" failed:`, error);
+      this.print(this.i18n.t('terminal.failed'), 'error');
+    }
+  }
+
+  // Print the prompt and command as typed
+  echo(text) {
+    const prompt = this.domManager.createElement('span', 'prompt');
+    const command = this.domManager.createElement('span', 'command');
+
+    prompt.appendChild(this.domManager.createTextNode('$'));
+    command.appendChild(this.domManager.createTextNode(text));
+    this.print([prompt, command]);
+  }
+
+  // Append an output line; content is text, a node or an array of either
+  print(content, className = '') {
+    if (!this.elements) return null;
+
+    const line = this.domManager.createElement('div', `terminal-line ${className}`.trim());
+    [].concat(content).forEach(part => {
+      line.appendChild(typeof part === 'string' ? this.domManager.createTextNode(part) : part);
+    });
+
+    this.elements.output.appendChild(line);
+    this.elements.body.scrollTop = this.elements.body.scrollHeight;
+    return line;
+  }
+
+  // Usage and description of every command
+  printHelp() {
+    this.print(this.i18n.t('terminal.helpIntro'), 'muted');
+
+    this.commands.forEach(command => {
+      const usage = this.domManager.createElement('span', 'command terminal-usage');
+      usage.appendChild(this.domManager.createTextNode(command.usage || command.name));
+
+      const description = typeof command.description === 'function'
+        ? command.description()
+        : command.description;
+      this.print([usage, description || '']);
+    });
+  }
+
+  // Empty the output, boot lines included
+  clear() {
+    if (!this.elements) return;
+
+    const { output } = this.elements;
+    while (output.firstChild) {
+      output.removeChild(output.firstChild);
+    }
+  }
+
+  // History, completion and shortcuts inside the prompt
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowUp':
+        e.preventDefault();
+        this.recall(-1);
+        break;
+      case 'ArrowDown':
+        e.preventDefault();
+        this.recall(1);
+        break;
+      case 'Tab':
+        // An empty prompt lets Tab move focus on through the page
+        if (!e.shiftKey && this.elements.input.value.trim()) {
+          e.preventDefault();
+          this.complete();
+        }
+        break;
+      case 'Escape':
+        this.elements.input.value = '';
+        this.historyIndex = this.history.length;
+        break;
+      case 'l':
+        if (e.ctrlKey) {
+          e.preventDefault();
+          this.clear();
+        }
+        break;
+    }
+  }
+
+  // Step through history; stepping past the newest entry restores what was being typed
+  recall(step) {
+    const { input } = this.elements;
+    const index = Math.max(0, Math.min(this.historyIndex + step, this.history.length));
+    if (index === this.historyIndex) return;
+
+    if (this.historyIndex === this.history.length) {
+      this.draft = input.value;
+    }
+
+    this.historyIndex = index;
+    input.value = index === this.history.length ? this.draft : this.history[index];
+    input.setSelectionRange(input.value.length, input.value.length);
+  }
+
+  // Complete the command name, or its argument via command.complete()
+  complete() {
+    const { input } = this.elements;
+    const words = input.value.replace(/^\s+/, '').split(/\s+/);
+    const partial = words[words.length - 1].toLowerCase();
+
+    let candidates;
+    if (words.length === 1) {
+      candidates = [...this.commands.keys()];
+    } else {
+      const command = this.commands.get(words[0].toLowerCase());
+      candidates = command && command.complete ? command.complete(words.slice(1)) : [];
+    }
+
+    const matches = candidates.filter(candidate => candidate.startsWith(partial));
+    if (!matches.length) return;
+
+    const head = words.slice(0, -1).join(' ');
+    const fill = (word) => {
+      input.value = head ? `${head} ${word}` : word;
+    };
+
+    if (matches.length === 1) {
+      fill(`${matches[0]} `);
+      return;
+    }
+
+    // Several matches: extend to their shared prefix, or list them when there is nothing to add
+    const prefix = matches.reduce((shared, match) => {
+      let length = 0;
+      while (length < shared.length && shared[length] === match[length]) length++;
+      return shared.slice(0, length);
+    });
+
+    if (prefix.length > partial.length) {
+      fill(prefix);
+    } else {
+      this.echo(input.value);
+      this.print(matches.join('  '), 'muted');
+    }
+  }
+
+  // Add a command line to history, skipping repeats
+  remember(text) {
+    if (this.history[this.history.length - 1] !== text) {
+      this.history = [...this.history, text].slice(-this.maxHistory);
+    }
+    this.historyIndex = this.history.length;
+    this.draft = '';
+
+    try {
+      this.window.localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+    } catch (error) {
+      // Storage can be unavailable (private mode); history just won't persist
+    }
+  }
+
+  // Read command history from storage
+  loadHistory() {
+    try {
+      const stored = JSON.parse(this.window.localStorage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Remove the prompt
+  destroy() {
+    this.listeners.clear();
+    if (!this.elements) return;
+
+    this.domManager.removeElement(this.elements.form);
+    this.elements = null;
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Theme Manager - Dark, light and system colour schemes
+ * Loaded in <head> so the stored theme applies before first paint
+ */
+
+class ThemeManager {
+  constructor({ window }) {
+    this.window = window;
+    this.document = window.document;
+    this.modes = ['system', 'light', 'dark'];
+    this.fallbackColors = { light: '#ffffff', dark: '#0b0f19' };
+    this.storageKey = 'teqpod:theme';
+    this.listeners = new Set();
+    this.media = this.window.matchMedia('(prefers-color-scheme: dark)');
+    this.mode = this.loadMode();
+
+    // Follow OS changes live while in system mode
+    this.handleSystemChange = () => {
+      if (this.mode === 'system') this.apply();
+    };
+    this.watchSystem(true);
+
+    this.apply();
+  }
+
+  // Stored mode, defaulting to system
+  loadMode() {
+    try {
+      const stored = this.window.localStorage.getItem(this.storageKey);
+      return this.modes.includes(stored) ? stored : 'system';
+    } catch (error) {
+      return 'system';
+    }
+  }
+
+  // Subscribe or unsubscribe from prefers-color-scheme changes
+  watchSystem(enabled) {
+    const method = enabled ? 'addEventListener' : 'removeEventListener';
+
+    if (this.media[method]) {
+      this.media[method]('change', this.handleSystemChange);
+    } else {
+      // Safari < 14 only supports the legacy listener API
+      this.media[enabled ? 'addListener' : 'removeListener'](this.handleSystemChange);
+    }
+  }
+
+  // Theme actually shown: 'light' or 'dark'
+  getResolvedTheme() {
+    if (this.mode === 'system') {
+      return this.media.matches ? 'dark' : 'light';
+    }
+    return this.mode;
+  }
+
+  // Change and persist the mode
+  setMode(mode) {
+    if (!this.modes.includes(mode)) return;
+
+    this.mode = mode;
+
+    try {
+      this.window.localStorage.setItem(this.storageKey, mode);
+    } catch (error) {
+      // Choice just won't survive a reload
+    }
+
+    this.apply();
+  }
+
+  // Apply the resolved theme to the document
+  apply() {
+    const root = this.document.documentElement;
+    const theme = this.getResolvedTheme();
+
+    root.dataset.theme = theme;
+    root.dataset.themeMode = this.mode;
+    root.style.colorScheme = theme;
+
+    this.updateThemeColor(theme);
+    this.listeners.forEach(listener => listener(theme, this.mode));
+  }
+
+  // Keep <meta name="theme-color"> in sync with the palette
+  updateThemeColor(theme) {
+    let meta = this.document.querySelector('meta[name="theme-color"]');
+
+    if (!meta) {
+      meta = this.document.createElement('meta');
+      meta.name = 'theme-color';
+      this.document.head.appendChild(meta);
+    }
+
+    const color = this.window.getComputedStyle(this.document.documentElement)
+      .getPropertyValue('--theme-color')
+      .trim();
+
+    meta.content = color || this.fallbackColors[theme];
+  }
+
+  // Subscribe to theme changes; returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Stop following the OS setting
+  cleanup() {
+    this.watchSystem(false);
+    this.listeners.clear();
+  }
+}
+
+// Created while <head> loads so the stored theme applies before first paint;
+// main.js hands this instance to everything else. Outside a browser only the class is loaded.
+if (typeof window !== 'undefined') {
+  window.themeManager = new ThemeManager({ window });
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeManager;
+}
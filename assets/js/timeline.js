@@ -0,0 +1,240 @@
+/**
+ * Timeline - One shared requestAnimationFrame loop for every JS-driven animation
+ * Delays, tweens and frame loops run on a clock that stands still while paused
+ */
+
+// Named easings; tween() also accepts any function of progress (0..1)
+const EASINGS = {
+  linear: t => t,
+  easeInQuad: t => t * t,
+  easeOutQuad: t => t * (2 - t),
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeOutQuart: t => 1 - Math.pow(1 - t, 4),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1)
+};
+
+// Handle for anything scheduled on the timeline
+// finished resolves to true when the task completes, false when it is cancelled
+export class TimelineTask {
+  constructor(timeline, step = null) {
+    this.timeline = timeline;
+    // step(time) runs every frame and returns true once done; composite tasks have none
+    this.step = step;
+    this.state = 'running';
+    this.cancelHandlers = [];
+    this.finished = new Promise(resolve => {
+      this.settle = resolve;
+    });
+  }
+
+  // Mark the task complete
+  finish() {
+    if (this.state !== 'running') return;
+    this.state = 'finished';
+    this.timeline.remove(this);
+    this.settle(true);
+  }
+
+  // Stop the task, along with anything sequenced or grouped under it
+  cancel() {
+    if (this.state !== 'running') return;
+    this.state = 'cancelled';
+    this.timeline.remove(this);
+    this.cancelHandlers.forEach(handler => handler());
+    this.settle(false);
+  }
+
+  // Run cleanup when the task is cancelled
+  onCancel(handler) {
+    this.cancelHandlers.push(handler);
+    return this;
+  }
+
+  // Run next() once this task finishes; next may return another task to wait for
+  // Cancelling the returned task cancels whichever step is running. Not named then(),
+  // so tasks aren't thenables: await task.finished to wait for one
+  andThen(next) {
+    const chained = new TimelineTask(this.timeline);
+    let current = this;
+
+    chained.onCancel(() => current.cancel());
+
+    this.finished.then(completed => {
+      if (!completed) {
+        chained.cancel();
+        return;
+      }
+      if (chained.state !== 'running') return;
+
+      let result = null;
+      try {
+        result = next ? next() : null;
+      } catch (error) {
+        console.error('❌ Animation step failed:', error);
+        chained.cancel();
+        return;
+      }
+
+      if (result instanceof TimelineTask) {
+        current = result;
+        result.finished.then(done => (done ? chained.finish() : chained.cancel()));
+      } else {
+        chained.finish();
+      }
+    });
+
+    return chained;
+  }
+}
+
+export class Timeline {
+  constructor({ window }) {
+    this.window = window;
+    this.document = window.document;
+    this.tasks = new Set();
+    this.easings = { ...EASINGS };
+    this.frameId = null;
+    this.isPaused = false;
+    this.pausedAt = 0;
+    this.pausedTotal = 0;
+    this.tick = () => this.runFrame();
+  }
+
+  // Timeline clock in milliseconds; time spent paused doesn't count
+  now() {
+    const current = this.isPaused ? this.pausedAt : this.window.performance.now();
+    return current - this.pausedTotal;
+  }
+
+  // Call callback once duration ms of timeline time have passed
+  delay(duration, callback = null) {
+    const end = this.now() + duration;
+
+    return this.add(new TimelineTask(this, time => {
+      if (time < end) return false;
+      if (callback) callback();
+      return true;
+    }));
+  }
+
+  // Drive onUpdate(easedProgress, progress) from 0 to 1 over duration ms
+  tween({ duration = 300, easing = 'linear', onUpdate }) {
+    const ease = this.getEasing(easing);
+    const start = this.now();
+
+    return this.add(new TimelineTask(this, time => {
+      const progress = duration > 0 ? Math.min((time - start) / duration, 1) : 1;
+      onUpdate(ease(progress), progress);
+      return progress >= 1;
+    }));
+  }
+
+  // Call callback(time) on every frame until the task is cancelled
+  loop(callback) {
+    return this.add(new TimelineTask(this, time => {
+      callback(time);
+      return false;
+    }));
+  }
+
+  // One task that finishes once every task given has settled
+  parallel(tasks) {
+    const group = new TimelineTask(this);
+    group.onCancel(() => tasks.forEach(task => task.cancel()));
+
+    Promise.all(tasks.map(task => task.finished)).then(() => group.finish());
+    return group;
+  }
+
+  // Start start(item, index) for each item, interval ms apart
+  // start may return a task; the group finishes once all of them have
+  stagger(items, interval, start) {
+    return this.parallel(items.map((item, index) =>
+      this.delay(index * interval).andThen(() => start(item, index))
+    ));
+  }
+
+  // Add a named easing for tween()
+  registerEasing(name, easing) {
+    this.easings[name] = easing;
+  }
+
+  // Resolve an easing name or function
+  getEasing(easing) {
+    if (typeof easing === 'function') return easing;
+
+    if (!this.easings[easing]) {
+      console.warn(`🎬 Unknown easing "${easing}", using linear`);
+      return this.easings.linear;
+    }
+    return this.easings[easing];
+  }
+
+  // Schedule a task's step on the shared loop
+  add(task) {
+    this.tasks.add(task);
+    this.requestFrame();
+    return task;
+  }
+
+  // Take a task off the loop
+  remove(task) {
+    this.tasks.delete(task);
+  }
+
+  // Keep the loop running only while there is work and the timeline isn't paused
+  requestFrame() {
+    if (this.frameId !== null || this.isPaused || !this.tasks.size) return;
+    this.frameId = this.window.requestAnimationFrame(this.tick);
+  }
+
+  // Advance every task to the current timeline time
+  runFrame() {
+    this.frameId = null;
+    const time = this.now();
+
+    [...this.tasks].forEach(task => {
+      if (task.state !== 'running') return;
+
+      try {
+        if (task.step(time)) task.finish();
+      } catch (error) {
+        console.error('❌ Animation step failed:', error);
+        task.cancel();
+      }
+    });
+
+    this.requestFrame();
+  }
+
+  // Freeze JS tasks and CSS animations in place
+  pause() {
+    if (this.isPaused) return;
+
+    this.isPaused = true;
+    this.pausedAt = this.window.performance.now();
+
+    if (this.frameId !== null) {
+      this.window.cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+
+    // One class on <html> pauses every CSS animation, see .animations-paused in styles.css
+    this.document.documentElement.classList.add('animations-paused');
+  }
+
+  // Carry on from where pause() stopped
+  resume() {
+    if (!this.isPaused) return;
+
+    this.pausedTotal += this.window.performance.now() - this.pausedAt;
+    this.isPaused = false;
+    this.document.documentElement.classList.remove('animations-paused');
+    this.requestFrame();
+  }
+
+  // Cancel everything still scheduled
+  cancelAll() {
+    [...this.tasks].forEach(task => task.cancel());
+  }
+}
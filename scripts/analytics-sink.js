@@ -0,0 +1,79 @@
+/**
+ * Analytics Sink - Local endpoint for the first-party beacon provider
+ * Usage: node scripts/analytics-sink.js [port]
+ *
+ * Point siteData.analytics.endpoint at http://localhost:8788/collect.
+ * Batches arrive as text/plain JSON ({ sentAt, events }); every event is
+ * printed and, with --log path, appended to a JSON Lines file.
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+const args = process.argv.slice(2);
+const logIndex = args.indexOf('--log');
+const logPath = logIndex !== -1 ? args.splice(logIndex, 2)[1] : null;
+const port = Number(args[0]) || 8788;
+
+// Empty response with permissive CORS headers
+const send = (res, status) => {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end();
+};
+
+// One line per event so batches stay readable in the terminal
+const describe = ({ type, properties = {}, path }) => {
+  const details = Object.entries(properties)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(' ');
+  return `📈 ${String(type).padEnd(13)} ${path || '#'} ${details}`;
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  if (req.method !== 'POST' || url.pathname !== '/collect') {
+    send(res, 404);
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let batch;
+    try {
+      batch = JSON.parse(raw);
+    } catch (error) {
+      send(res, 400);
+      return;
+    }
+
+    // Valid JSON is not enough: null, numbers and arrays are not batches
+    if (!batch || !Array.isArray(batch.events)) {
+      send(res, 400);
+      return;
+    }
+
+    const events = batch.events;
+    console.log(`📦 Batch of ${events.length} sent ${batch.sentAt}`);
+    events.forEach(event => console.log(describe(event)));
+
+    if (logPath && events.length) {
+      fs.appendFileSync(logPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+    }
+
+    send(res, 204);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🧪 Analytics sink listening on http://localhost:${port}/collect`);
+});
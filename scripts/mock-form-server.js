@@ -0,0 +1,171 @@
+/**
+ * Mock Form Server - Local endpoint for exercising FormTransport and event registration
+ * Usage: node scripts/mock-form-server.js [port]
+ *
+ * Point siteData.contactForm.endpoint at http://localhost:8787/contact.
+ * Behaviour can be steered per request with query parameters:
+ *   ?fail=N    answer 503 for the first N attempts (tests retry/backoff)
+ *   ?status=X  always answer with HTTP status X
+ * Invalid fields are rejected with 422 and field-level errors.
+ *
+ * Point siteData.registration.endpoint at http://localhost:8787/registrations.
+ * Capacities come from siteData.json; sign-ups are kept in memory until the server stops.
+ */
+
+const http = require('http');
+const path = require('path');
+
+const port = Number(process.argv[2]) || 8787;
+const attempts = new Map();
+const siteData = require(path.join(__dirname, '..', 'assets', 'data', 'siteData.json'));
+// Event slug -> registered email addresses
+const registrations = new Map();
+
+// Parse a JSON or form-encoded request body
+const parseBody = (raw, contentType = '') => {
+  if (contentType.includes('application/json')) {
+    return JSON.parse(raw || '{}');
+  }
+  return Object.fromEntries(new URLSearchParams(raw));
+};
+
+// Validate the contact form fields
+const validate = (fields) => {
+  const errors = {};
+
+  if (!fields.name || !String(fields.name).trim()) {
+    errors.name = 'Name is required';
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email || '')) {
+    errors.email = 'Enter a valid email address';
+  }
+  if (!fields.message || String(fields.message).trim().length < 10) {
+    errors.message = 'Message must be at least 10 characters';
+  }
+
+  return errors;
+};
+
+// Send a JSON response with permissive CORS headers
+const send = (res, status, payload) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept'
+  });
+  res.end(JSON.stringify(payload));
+};
+
+// GET /registrations?events=a,b and POST /registrations/<slug>
+const handleRegistration = (req, res, url, raw) => {
+  const slug = decodeURIComponent(url.pathname.slice('/registrations/'.length));
+
+  if (req.method === 'GET' && url.pathname === '/registrations') {
+    const slugs = (url.searchParams.get('events') || '').split(',').filter(Boolean);
+    send(res, 200, { counts: Object.fromEntries(slugs.map(s => [s, (registrations.get(s) || []).length])) });
+    return;
+  }
+
+  const event = siteData.events.find(entry => entry.slug === slug);
+  if (req.method !== 'POST' || !event || !event.registration) {
+    send(res, 404, { message: 'Not found' });
+    return;
+  }
+
+  let fields;
+  try {
+    fields = JSON.parse(raw || '{}');
+  } catch (error) {
+    send(res, 400, { message: 'Malformed request body' });
+    return;
+  }
+
+  const errors = {};
+  if (!fields.name || !String(fields.name).trim()) errors.name = 'Name is required';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email || '')) errors.email = 'Enter a valid email address';
+  if (Object.keys(errors).length) {
+    send(res, 422, { message: 'Validation failed', errors });
+    return;
+  }
+
+  const emails = registrations.get(slug) || [];
+  const email = String(fields.email).trim().toLowerCase();
+  const { capacity } = event.registration;
+
+  if (typeof capacity === 'number' && emails.length >= capacity) {
+    send(res, 409, { code: 'full', count: emails.length, message: 'This event is full' });
+    return;
+  }
+  if (emails.includes(email)) {
+    send(res, 409, { code: 'duplicate', count: emails.length, message: 'Already registered' });
+    return;
+  }
+
+  emails.push(email);
+  registrations.set(slug, emails);
+  console.log(`🎟️ ${slug}: ${emails.length}${typeof capacity === 'number' ? `/${capacity}` : ''}`);
+  send(res, 201, { count: emails.length });
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204, {});
+    return;
+  }
+
+  const isRegistration = url.pathname === '/registrations' || url.pathname.startsWith('/registrations/');
+
+  if (!isRegistration && (req.method !== 'POST' || url.pathname !== '/contact')) {
+    send(res, 404, { success: false, message: 'Not found' });
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    if (isRegistration) {
+      handleRegistration(req, res, url, raw);
+      return;
+    }
+
+    const failCount = Number(url.searchParams.get('fail')) || 0;
+    const forcedStatus = Number(url.searchParams.get('status')) || 0;
+    const seen = attempts.get(url.search) || 0;
+    attempts.set(url.search, seen + 1);
+
+    console.log(`📨 ${req.headers['content-type']} attempt ${seen + 1}`);
+
+    if (forcedStatus) {
+      send(res, forcedStatus, { success: forcedStatus < 400, message: `Forced ${forcedStatus}` });
+      return;
+    }
+
+    if (seen < failCount) {
+      send(res, 503, { success: false, message: 'Service temporarily unavailable' });
+      return;
+    }
+
+    let fields;
+    try {
+      fields = parseBody(raw, req.headers['content-type']);
+    } catch (error) {
+      send(res, 400, { success: false, message: 'Malformed request body' });
+      return;
+    }
+
+    const errors = validate(fields);
+    if (Object.keys(errors).length) {
+      send(res, 422, { success: false, message: 'Validation failed', errors });
+      return;
+    }
+
+    attempts.delete(url.search);
+    send(res, 200, { success: true, message: `Thanks ${fields.name}, we'll be in touch soon.` });
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🧪 Mock form server listening on http://localhost:${port}/contact and /registrations`);
+});
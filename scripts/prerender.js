@@ -0,0 +1,149 @@
+/**
+ * Prerender - Bake siteData into index.html at build time
+ * Usage: npm run prerender -- [--out path/to/output.html | --in-place]
+ *
+ * Needs the jsdom devDependency (npm install) and Node 20.19+, which can require()
+ * the browser ES modules. Builds the browser ComponentSystem against a jsdom copy
+ * of index.html, fills every [data-collection] container and adds the JSON-LD
+ * structured data to <head>. The result goes to index.prerendered.html next to the
+ * source, so relative asset paths still resolve; --out picks another path and
+ * --in-place overwrites index.html itself. Rendered items carry data-key and
+ * data-hash, so the client adopts them instead of rendering them again.
+ * Re-running is safe: containers are cleared before each render.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { DOMManager } = require('../assets/js/dom-manager.js');
+const { ComponentSystem } = require('../assets/js/components.js');
+const { I18n } = require('../assets/js/i18n.js');
+const { SchemaValidator, SITE_DATA_SCHEMA } = require('../assets/js/schema-validator.js');
+const { EventSchedule } = require('../assets/js/event-schedule.js');
+const { StructuredData } = require('../assets/js/structured-data.js');
+
+const root = path.resolve(__dirname, '..');
+const indexPath = path.join(root, 'index.html');
+const defaultOutPath = path.join(root, 'index.prerendered.html');
+const dataPath = path.join(root, 'assets/data/siteData.json');
+
+// Read --out / --in-place from the command line; the source is only overwritten when asked
+const parseArgs = (argv) => {
+  const outIndex = argv.indexOf('--out');
+  const inPlace = argv.includes('--in-place');
+
+  if (outIndex !== -1 && inPlace) {
+    throw new Error('Use either --out or --in-place, not both');
+  }
+  if (outIndex !== -1 && !argv[outIndex + 1]) {
+    throw new Error('--out needs a path');
+  }
+
+  if (inPlace) return { out: indexPath };
+  return { out: outIndex !== -1 ? path.resolve(argv[outIndex + 1]) : defaultOutPath };
+};
+
+// Events need the same upcoming/archive split the app applies
+const renderEvents = ({ document, componentSystem, eventSchedule, i18n }, events, container) => {
+  const { upcoming, past } = eventSchedule.arrange(events);
+
+  if (upcoming.length) {
+    componentSystem.renderCollection('event-item', upcoming, container, { mount: false });
+  } else {
+    componentSystem.renderEmptyState(container, i18n.t('events.emptyAll'));
+  }
+
+  const archive = document.getElementById('events-archive');
+  const archiveContainer = document.getElementById('events-archive-container');
+  const archiveCount = document.getElementById('events-archive-count');
+
+  if (archive && archiveContainer) {
+    componentSystem.clearContainer(archiveContainer);
+    componentSystem.renderCollection('event-item', past, archiveContainer, { mount: false });
+    archive.hidden = past.length === 0;
+
+    if (archiveCount) {
+      archiveCount.textContent = `(${i18n.formatNumber(past.length)})`;
+    }
+  }
+};
+
+const prerender = ({ out }) => {
+  const source = fs.readFileSync(indexPath, 'utf8');
+  const siteData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  const dom = new JSDOM(source, { url: 'https://teqpod.com/' });
+  const { window } = dom;
+  const { document } = window;
+
+  // The page is built in English, so no other catalogs are fetched
+  const domManager = new DOMManager({ window });
+  const i18n = new I18n({ window, domManager, fetch: null });
+  const eventSchedule = new EventSchedule({ i18n });
+  const siteDataValidator = new SchemaValidator(SITE_DATA_SCHEMA);
+
+  // Nothing is mounted at build time, so no animation system, timeline or notifications
+  const componentSystem = new ComponentSystem({
+    window,
+    domManager,
+    animationSystem: null,
+    timeline: null,
+    i18n,
+    eventSchedule,
+    notificationCenter: null,
+    registration: null
+  });
+  const structuredData = new StructuredData({ window, domManager, componentSystem, i18n });
+
+  const report = siteDataValidator.validate(siteData);
+  if (!report.valid) {
+    console.warn(`⚠️ ${siteDataValidator.formatReport(report)}`);
+  }
+
+  const rendered = [];
+  const skipped = [];
+
+  document.querySelectorAll('[data-collection]').forEach(container => {
+    const section = container.dataset.collection;
+
+    componentSystem.clearContainer(container);
+    delete container.dataset.prerendered;
+
+    // Invalid sections stay empty; the client shows its inline fallback
+    if (!siteData[section] || !report.isSectionValid(section)) {
+      skipped.push(section);
+      return;
+    }
+
+    if (section === 'events') {
+      renderEvents({ document, componentSystem, eventSchedule, i18n }, siteData.events, container);
+    } else {
+      componentSystem.renderCollection(container.dataset.template, siteData[section], container, { mount: false });
+    }
+
+    container.dataset.prerendered = 'true';
+    rendered.push(section);
+  });
+
+  structuredData.update(siteData, report);
+
+  // Keep the line endings the source file uses
+  let html = dom.serialize();
+  if (source.includes('\r\n')) {
+    html = html.replace(/\r?\n/g, '\r\n');
+  }
+
+  fs.writeFileSync(out, html);
+  window.close();
+
+  console.log(`🏗️ Pre-rendered ${rendered.join(', ')} into ${path.relative(process.cwd(), out) || out}`);
+  if (skipped.length) {
+    console.warn(`⚠️ Skipped: ${skipped.join(', ')}`);
+  }
+};
+
+try {
+  prerender(parseArgs(process.argv.slice(2)));
+} catch (error) {
+  console.error('❌ Pre-rendering failed:', error);
+  process.exitCode = 1;
+}
@@ -0,0 +1,182 @@
+/**
+ * Service Worker - Offline support for the Teqpod site
+ * Precaches the app shell and siteData; siteData is then served stale-while-revalidate
+ */
+
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `teqpod-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `teqpod-data-${CACHE_VERSION}`;
+
+// Keep in sync with the <script> and <link> tags in index.html and the imports in main.js
+const SHELL_ASSETS = [
+  './',
+  './index.html',
+  './assets/css/styles.css',
+  './assets/js/theme-manager.js',
+  './assets/js/motion-preference.js',
+  './assets/js/dom-manager.js',
+  './assets/js/i18n.js',
+  './assets/js/notification-center.js',
+  './assets/js/animations.js',
+  './assets/js/schema-validator.js',
+  './assets/js/event-schedule.js',
+  './assets/js/components.js',
+  './assets/js/terminal.js',
+  './assets/js/countdown.js',
+  './assets/js/structured-data.js',
+  './assets/js/calendar-export.js',
+  './assets/js/router.js',
+  './assets/js/command-palette.js',
+  './assets/js/form-transport.js',
+  './assets/js/registration.js',
+  './assets/js/offline-support.js',
+  './assets/js/analytics.js',
+  './assets/js/timeline.js',
+  './assets/js/app.js',
+  './assets/js/main.js',
+  './assets/i18n/hi.json',
+  './assets/images/logo.svg',
+  './assets/images/logo--white.svg',
+  './assets/favicon/favicon.ico',
+  './assets/favicon/favicon-16x16.png',
+  './assets/favicon/favicon-32x32.png',
+  './assets/favicon/apple-touch-icon.png',
+  './assets/favicon/android-chrome-192x192.png',
+  './assets/favicon/android-chrome-512x512.png',
+  './assets/favicon/site.webmanifest'
+];
+
+// Content the page cannot render without, so a first visit is enough to work offline
+const DATA_ASSETS = [
+  './assets/data/siteData.json'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([
+      caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_ASSETS)),
+      caches.open(DATA_CACHE).then(cache => cache.addAll(DATA_ASSETS))
+    ])
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches left behind by previous versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('teqpod-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.includes('/assets/data/')) {
+    event.respondWith(serveData(event));
+  } else {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  }
+});
+
+// Pages: always try for the latest HTML, fall back to the cached shell
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('./index.html', response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match('./index.html', { cacheName: SHELL_CACHE });
+    return cached || offlineResponse();
+  }
+}
+
+// Static assets: answer from cache, refresh it in the background
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const network = fetch(event.request)
+    .then(response => {
+      if (response.ok) cache.put(event.request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+
+  return (await network) || offlineResponse();
+}
+
+// siteData: stale-while-revalidate that tells pages what happened in the background
+//   data-updated  the network copy differs from what was served; pages should refresh
+//   data-stale    the network could not be reached; pages are showing cached content
+async function serveData(event) {
+  const { request } = event;
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  // Read the cached body now; the response itself is handed to the page below
+  const previousBody = cached ? cached.clone().text() : Promise.resolve(null);
+
+  // Revalidate without the page's conditional headers so the cache gets a full body
+  const network = fetch(request.url, { cache: 'no-store' })
+    .then(async (response) => {
+      if (!response.ok) return response;
+
+      const previous = await previousBody;
+      const body = await response.clone().text();
+      await cache.put(request.url, response.clone());
+
+      if (previous !== null && previous !== body) {
+        notifyClients({ type: 'data-updated', url: request.url });
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (!cached) {
+    return (await network) || offlineResponse();
+  }
+
+  event.waitUntil(network.then(response => {
+    if (!response) notifyClients({ type: 'data-stale', url: request.url });
+  }));
+
+  // The page already has this version
+  const etag = cached.headers.get('ETag');
+  if (etag && request.headers.get('If-None-Match') === etag) {
+    return new Response(null, { status: 304, headers: { ETag: etag } });
+  }
+
+  return cached;
+}
+
+// Generic failure when neither cache nor network can answer
+function offlineResponse() {
+  return new Response('Offline', {
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: { 'Content-Type': 'text/plain' }
+  });
+}
+
+// Post a message to every page controlled by this worker
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}